@@ -0,0 +1,201 @@
+// Required modules
+const path = require("path");
+
+/**
+ * Modules providing the platform UI primitives design systems replace.
+ */
+const DEFAULT_PLATFORM_MODULES = ['UIKit', 'SwiftUI'];
+
+/**
+ * Categories a component usage is counted in.
+ */
+const CATEGORIES = ['designSystem', 'platform', 'thirdParty', 'other'];
+
+/**
+ * Classifies a component by the module declaring it.
+ * @param {Object} component - Component entry of codebase_components.json.
+ * @param {Object} options - Classification options.
+ * @param {Array} options.designModules - Design system module names.
+ * @param {Array} options.platformModules - Platform UI module names.
+ * @returns {string} - One of designSystem, platform, thirdParty or other.
+ */
+function classifyComponent(component, options) {
+    const moduleName = component.libraryName.toLowerCase();
+    const matches = modules => modules.some(name => name.toLowerCase() === moduleName);
+    if (component.designSystems.length > 0 || matches(options.designModules)) {
+        return 'designSystem';
+    }
+    if (matches(options.platformModules)) {
+        return 'platform';
+    }
+    if (component.thirdParty) {
+        return 'thirdParty';
+    }
+    return 'other';
+}
+
+/**
+ * Creates empty usage counts.
+ * @returns {Object} - Counts of each category, with the adoption share.
+ */
+function emptyCounts() {
+    const counts = { adoption: null };
+    CATEGORIES.forEach(category => {
+        counts[category] = 0;
+    });
+    return counts;
+}
+
+/**
+ * Computes the design-system share of the UI usages in the counts.
+ * UI usages are the design system, platform and third-party usages; other usages are not UI components.
+ * @param {Object} counts - Usage counts to update.
+ */
+function computeShare(counts) {
+    const uiUsages = counts.designSystem + counts.platform + counts.thirdParty;
+    counts.adoption = uiUsages > 0 ? counts.designSystem / uiUsages : null;
+}
+
+/**
+ * Computes the design-system adoption of a scan.
+ * @param {Object} document - The codebase_components.json document.
+ * @param {Object} options - Report options.
+ * @param {Array} [options.designModules] - Design system module names, besides those tagged during the scan.
+ * @param {Array} [options.platformModules] - Platform UI module names, defaults to UIKit and SwiftUI.
+ * @param {number} [options.top] - Number of replaceable components to list, defaults to 10.
+ * @param {Array} [options.targets] - Only count the usages in these targets (app, test, preview), see UsageContext.js;
+ *        usages without context count as app usages. Every usage is counted by default.
+ * @returns {Object} - Adoption totals, per module, per file, and the top replaceable components.
+ */
+function computeAdoption(document, options = {}) {
+    const classifyOptions = {
+        designModules: options.designModules || [],
+        platformModules: options.platformModules || DEFAULT_PLATFORM_MODULES
+    };
+    const fileModules = document.files || {};
+    const total = emptyCounts();
+    const modules = {};
+    const files = {};
+    const replaceable = [];
+
+    // Usages of a component in a file, in the selected targets
+    const usagesIn = (component, filePath) => {
+        if (!options.targets) {
+            return component.filewiseOccurences[filePath];
+        }
+        return ((component.filewiseLocation || {})[filePath] || [])
+            .filter(location => options.targets.includes(location.context ? location.context.target : 'app'))
+            .length;
+    };
+
+    // Get the counts of a file and its module, creating them on first use
+    const countsOf = (filePath) => {
+        const moduleName = (fileModules[filePath] && fileModules[filePath].module) || 'unknown';
+        if (!modules[moduleName]) {
+            modules[moduleName] = emptyCounts();
+        }
+        if (!files[filePath]) {
+            files[filePath] = Object.assign({ module: moduleName }, emptyCounts());
+        }
+        return moduleName;
+    };
+
+    // Scanned files without any usage are listed too
+    Object.keys(fileModules).forEach(countsOf);
+
+    document.components.forEach(component => {
+        const category = classifyComponent(component, classifyOptions);
+        let componentUsages = 0;
+        Object.keys(component.filewiseOccurences).forEach(filePath => {
+            const usages = usagesIn(component, filePath);
+            componentUsages += usages;
+            const moduleName = countsOf(filePath);
+            total[category] += usages;
+            modules[moduleName][category] += usages;
+            files[filePath][category] += usages;
+        });
+
+        // Platform and third-party components are the candidates for a design system replacement
+        if ((category === 'platform' || category === 'thirdParty') && componentUsages > 0) {
+            replaceable.push({
+                id: component.id,
+                name: component.name,
+                module: component.libraryName,
+                category: category,
+                usages: componentUsages,
+                files: Object.keys(component.filewiseOccurences).filter(filePath => usagesIn(component, filePath) > 0).length
+            });
+        }
+    });
+
+    computeShare(total);
+    Object.keys(modules).forEach(moduleName => computeShare(modules[moduleName]));
+    Object.keys(files).forEach(filePath => computeShare(files[filePath]));
+
+    return {
+        total: total,
+        modules: Object.keys(modules).sort().map(name => Object.assign({ name }, modules[name])),
+        files: Object.keys(files).sort().map(filePath => Object.assign({ path: filePath }, files[filePath])),
+        replaceable: replaceable
+            .sort((a, b) => b.usages - a.usages || a.id.localeCompare(b.id))
+            .slice(0, options.top || 10)
+    };
+}
+
+/**
+ * Formats an adoption share as a percentage.
+ * @param {number|null} adoption - Share between 0 and 1, null without UI usages.
+ * @returns {string} - The percentage, or "-" without UI usages.
+ */
+function formatShare(adoption) {
+    return adoption === null ? '-' : `${(adoption * 100).toFixed(1)}%`;
+}
+
+/**
+ * Formats the adoption report as text tables.
+ * @param {Object} report - Report returned by computeAdoption.
+ * @param {Object} options - Formatting options.
+ * @param {string} [options.rootDir] - Directory file paths are shown relative to.
+ * @returns {string} - The report.
+ */
+function formatAdoption(report, options = {}) {
+    const rootDir = options.rootDir || process.cwd();
+    const columns = (label, adoption, designSystem, platform, thirdParty, other) => [
+        label.padEnd(40),
+        adoption.padStart(8),
+        String(designSystem).padStart(8),
+        String(platform).padStart(10),
+        String(thirdParty).padStart(12),
+        String(other).padStart(8)
+    ].join(' ');
+    const row = (label, counts) => columns(
+        label, formatShare(counts.adoption), counts.designSystem, counts.platform, counts.thirdParty, counts.other
+    );
+    const header = label => columns(label, 'adoption', 'design', 'platform', 'third-party', 'other');
+
+    const lines = [
+        `Design system adoption: ${formatShare(report.total.adoption)}`,
+        '',
+        header('module'),
+        ...report.modules.map(module => row(module.name, module)),
+        '',
+        header('file'),
+        ...report.files.map(file => row(path.relative(rootDir, file.path), file)),
+        '',
+        'Top components to replace:'
+    ];
+    if (report.replaceable.length === 0) {
+        lines.push(' none');
+    }
+    report.replaceable.forEach(component => {
+        lines.push(` - ${component.module}.${component.name} (${component.category}): ${component.usages} usages in ${component.files} files`);
+    });
+    return lines.join('\n');
+}
+
+module.exports = {
+    DEFAULT_PLATFORM_MODULES,
+    classifyComponent,
+    computeAdoption,
+    formatAdoption
+};
@@ -0,0 +1,314 @@
+// Required modules
+const { spawn } = require('child_process');
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+const { BuildFailedError, toScanError } = require('./Diagnostics');
+const { findSwiftFiles, commonDirectory } = require('./ProjectDiscovery');
+
+/**
+ * Build configurations of SwiftPM and the Xcode configuration name of each.
+ */
+const CONFIGURATIONS = { debug: 'Debug', release: 'Release' };
+
+/**
+ * Default build timeout, in seconds.
+ */
+const DEFAULT_TIMEOUT = 600;
+
+/**
+ * Default location of the Xcode DerivedData folders.
+ */
+const DEFAULT_DERIVED_DATA = path.join(os.homedir(), 'Library', 'Developer', 'Xcode', 'DerivedData');
+
+/**
+ * BuildManager class running the package build the module resolution needs.
+ * The scanner only needs the build manifest (`.build/<configuration>.yaml`), which SwiftPM writes once the package
+ * structure is planned, so the build is stopped as soon as compilation starts, and an up-to-date manifest is reused.
+ */
+class BuildManager {
+    /**
+     * Constructor for BuildManager.
+     * @param {Object} options - Build options.
+     * @param {string} [options.rootDir] - Package root, the current directory by default.
+     * @param {string} [options.configuration] - Build configuration: debug (default) or release.
+     * @param {boolean} [options.skipBuild] - Never build, read the manifest of an earlier build.
+     * @param {number} [options.timeout] - Seconds after which the build is stopped, 600 by default.
+     * @param {Array} [options.swiftcFlags] - Flags passed to the compiler with -Xswiftc.
+     * @param {Function} [options.onOutput] - Called with each line the build prints.
+     */
+    constructor(options = {}) {
+        this.rootDir = path.resolve(options.rootDir || process.cwd());
+        this.configuration = options.configuration || 'debug';
+        if (!CONFIGURATIONS[this.configuration]) {
+            throw new Error(`Unknown build configuration "${this.configuration}", expected ${Object.keys(CONFIGURATIONS).join(' or ')}`);
+        }
+        this.skipBuild = options.skipBuild === true;
+        this.timeout = options.timeout > 0 ? options.timeout : DEFAULT_TIMEOUT;
+        this.swiftcFlags = options.swiftcFlags || [];
+        this.onOutput = options.onOutput || (() => {});
+    }
+
+    /**
+     * Gets the path of the build manifest of the configuration.
+     * @returns {string} - Path of `.build/<configuration>.yaml`.
+     */
+    get manifestPath() {
+        return path.join(this.rootDir, '.build', `${this.configuration}.yaml`);
+    }
+
+    /**
+     * Resolves to the build manifest, building only when there is no up-to-date manifest.
+     * @returns {Promise<string>} - Content of the build manifest.
+     * @throws {ScanError} - BuildFailedError if the build fails or times out, or no manifest exists with skipBuild;
+     *                       ToolchainMissingError if swift is not installed.
+     */
+    async build() {
+        if (this.skipBuild) {
+            try {
+                return await fs.readFile(this.manifestPath, 'utf8');
+            } catch (error) {
+                throw new BuildFailedError(`Build skipped but there is no ${path.relative(this.rootDir, this.manifestPath)}, build the package first`, { cause: error });
+            }
+        }
+        if (await this.isManifestUpToDate()) {
+            this.onOutput(`Reusing ${path.relative(this.rootDir, this.manifestPath)}`);
+            return fs.readFile(this.manifestPath, 'utf8');
+        }
+        await this.runBuild();
+        try {
+            return await fs.readFile(this.manifestPath, 'utf8');
+        } catch (error) {
+            throw new BuildFailedError(`swift build did not write ${path.relative(this.rootDir, this.manifestPath)}: ${error.message}`, { cause: error });
+        }
+    }
+
+    /**
+     * Checks whether the manifest of an earlier build can be reused: it is newer than Package.swift and
+     * Package.resolved, was built with the same compiler flags, and lists the Swift files of the package targets.
+     * @returns {Promise<boolean>} - True if the manifest is up to date.
+     */
+    async isManifestUpToDate() {
+        let manifest;
+        try {
+            manifest = await fs.stat(this.manifestPath);
+        } catch (error) {
+            return false;
+        }
+        for (const name of ['Package.swift', 'Package.resolved']) {
+            try {
+                if ((await fs.stat(path.join(this.rootDir, name))).mtimeMs > manifest.mtimeMs) {
+                    return false;
+                }
+            } catch (error) {
+                // Packages without dependencies have no Package.resolved
+            }
+        }
+        // The compiler flags are part of the commands of the manifest
+        const content = await fs.readFile(this.manifestPath, 'utf8');
+        if (!this.swiftcFlags.every(flag => content.includes(flag))) {
+            return false;
+        }
+        return this.listsPackageSources(content);
+    }
+
+    /**
+     * Checks whether a manifest lists every Swift file of the package targets, and only existing ones:
+     * adding or deleting a file touches neither Package.swift nor Package.resolved.
+     * @param {string} content - Content of the build manifest.
+     * @returns {Promise<boolean>} - True if the sources of the manifest match the files on disk.
+     */
+    async listsPackageSources(content) {
+        const yaml = require('js-yaml');
+        let commands;
+        try {
+            commands = yaml.load(content).commands || {};
+        } catch (error) {
+            return false;
+        }
+
+        // Sources of the package's own targets, dependencies are checked out under .build
+        const buildDir = path.join(this.rootDir, '.build') + path.sep;
+        const targets = Object.keys(commands)
+            .map(key => (commands[key].sources || []).filter(source => source.endsWith('.swift') && !source.startsWith(buildDir)))
+            .filter(sources => sources.length > 0);
+        const listed = new Set([].concat(...targets));
+        for (const source of listed) {
+            try {
+                await fs.access(source);
+            } catch (error) {
+                return false;
+            }
+        }
+        for (const directory of new Set(targets.map(commonDirectory))) {
+            const files = await findSwiftFiles(directory);
+            if (files.some(file => !listed.has(file))) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Gets the arguments of `swift build`.
+     * @returns {Array} - The arguments.
+     */
+    getBuildArguments() {
+        const args = ['build', '--configuration', this.configuration];
+        this.swiftcFlags.forEach(flag => args.push('-Xswiftc', flag));
+        return args;
+    }
+
+    /**
+     * Runs `swift build`, streaming its output, until compilation starts, the build ends or the timeout expires.
+     * @returns {Promise<void>} - Resolves once the manifest is written.
+     */
+    runBuild() {
+        return new Promise((resolve, reject) => {
+            // A process group of its own, so stopping the build stops the processes swift build started
+            const buildProcess = spawn('swift', this.getBuildArguments(), { cwd: this.rootDir, detached: true });
+            let settled = false;
+            let pending = '';
+            const lastLines = [];
+
+            const settle = (error) => {
+                if (settled) {
+                    return;
+                }
+                settled = true;
+                clearTimeout(timer);
+                if (error) {
+                    reject(error);
+                } else {
+                    resolve();
+                }
+            };
+
+            const stop = () => {
+                try {
+                    process.kill(-buildProcess.pid);
+                } catch (error) {
+                    buildProcess.kill();
+                }
+                // Children still holding the output open would keep the scanner waiting
+                buildProcess.stdout.destroy();
+                buildProcess.stderr.destroy();
+            };
+
+            const timer = setTimeout(() => {
+                stop();
+                settle(new BuildFailedError(`swift build timed out after ${this.timeout}s`));
+            }, this.timeout * 1000);
+
+            // Stream the output line by line, keeping the last lines for the error message
+            const onData = (data) => {
+                const lines = (pending + data.toString()).split(/\r?\n/);
+                pending = lines.pop();
+                lines.filter(line => line.trim()).forEach(line => {
+                    this.onOutput(line);
+                    lastLines.push(line);
+                    if (lastLines.length > 10) {
+                        lastLines.shift();
+                    }
+                    // SwiftPM has written the manifest once it starts compiling
+                    if (/^\[\d+\/\d+\] |^Building |^Compiling /.test(line) && !settled) {
+                        stop();
+                        settle();
+                    }
+                });
+            };
+            buildProcess.stdout.on('data', onData);
+            buildProcess.stderr.on('data', onData);
+
+            buildProcess.on('close', (code) => {
+                if (pending.trim()) {
+                    onData('\n');
+                }
+                if (code === 0) {
+                    settle();
+                    return;
+                }
+                settle(new BuildFailedError(`swift build failed with exit code ${code}${lastLines.length > 0 ? `:\n${lastLines.join('\n')}` : ''}`));
+            });
+
+            buildProcess.on('error', (error) => {
+                settle(toScanError(error));
+            });
+        });
+    }
+}
+
+/**
+ * Reads the workspace or project path an Xcode DerivedData folder was built from.
+ * @param {string} folder - DerivedData folder of a project.
+ * @returns {Promise<string|null>} - The WorkspacePath of its info.plist, null if it has none.
+ */
+async function readWorkspacePath(folder) {
+    try {
+        const plist = await fs.readFile(path.join(folder, 'info.plist'), 'utf8');
+        const match = plist.match(/<key>WorkspacePath<\/key>\s*<string>([^<]*)<\/string>/);
+        return match ? match[1] : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Finds the build products of an Xcode project in DerivedData, so SourceKit can resolve the modules
+ * its targets import. The DerivedData folder of the project is the one whose info.plist points to the
+ * project, its workspace, or a folder inside the project root.
+ * @param {string} rootDir - Root directory of the project.
+ * @param {Array} projects - Paths of the .xcodeproj bundles.
+ * @param {Object} [options] - Lookup options.
+ * @param {string} [options.derivedData] - DerivedData folder, or the DerivedData folder of the project itself.
+ * @param {string} [options.configuration] - Build configuration: debug (default) or release.
+ * @returns {Promise<Array>} - Paths of the products directories, e.g. `Build/Products/Debug-iphonesimulator`.
+ */
+async function findDerivedDataProducts(rootDir, projects, options = {}) {
+    const derivedData = path.resolve(options.derivedData || DEFAULT_DERIVED_DATA);
+    const configuration = CONFIGURATIONS[options.configuration || 'debug'] || CONFIGURATIONS.debug;
+
+    let folders = [];
+    try {
+        await fs.access(path.join(derivedData, 'Build', 'Products'));
+        // The folder of the project was given
+        folders = [derivedData];
+    } catch (error) {
+        let entries = [];
+        try {
+            entries = await fs.readdir(derivedData);
+        } catch (readError) {
+            return [];
+        }
+        for (const entry of entries.sort()) {
+            const folder = path.join(derivedData, entry);
+            const workspacePath = await readWorkspacePath(folder);
+            if (workspacePath && (projects.includes(workspacePath) || path.dirname(workspacePath) === path.resolve(rootDir))) {
+                folders.push(folder);
+            }
+        }
+    }
+
+    const products = [];
+    for (const folder of folders) {
+        const productsPath = path.join(folder, 'Build', 'Products');
+        let entries = [];
+        try {
+            entries = await fs.readdir(productsPath);
+        } catch (error) {
+            continue;
+        }
+        // Products are built per platform, e.g. Debug-iphonesimulator, or Debug on macOS
+        entries.sort()
+            .filter(entry => entry === configuration || entry.startsWith(`${configuration}-`))
+            .forEach(entry => products.push(path.join(productsPath, entry)));
+    }
+    return products;
+}
+
+module.exports = {
+    CONFIGURATIONS,
+    DEFAULT_TIMEOUT,
+    BuildManager,
+    findDerivedDataProducts
+};
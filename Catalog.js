@@ -0,0 +1,242 @@
+// Required modules
+const path = require("path");
+const SourceText = require('./SourceText');
+
+/**
+ * Accessibility levels of the public API of a module.
+ */
+const PUBLIC_ACCESSIBILITY = [
+    'source.lang.swift.accessibility.public',
+    'source.lang.swift.accessibility.open'
+];
+
+/**
+ * Kinds of the type declarations, whose public members are part of the API of the module.
+ */
+const TYPE_KINDS = [
+    'source.lang.swift.decl.struct',
+    'source.lang.swift.decl.class',
+    'source.lang.swift.decl.enum',
+    'source.lang.swift.decl.protocol'
+];
+
+/**
+ * Kind of the completion suggestions of initializers, as the dataset lists them.
+ */
+const CONSTRUCTOR_KIND = 'source.lang.swift.decl.function.constructor';
+
+/**
+ * Checks whether a declaration is public or open.
+ * Protocol requirements and enum cases have no accessibility of their own, they take their parent's.
+ * @param {Object} node - Structure node of the declaration.
+ * @param {boolean} parentPublic - Whether the parent declaration is public.
+ * @returns {boolean} - True if the declaration is part of the public API.
+ */
+function isPublic(node, parentPublic) {
+    const accessibility = node['key.accessibility'];
+    if (!accessibility) {
+        return parentPublic;
+    }
+    return PUBLIC_ACCESSIBILITY.includes(accessibility);
+}
+
+/**
+ * Gets the doc comment of a declaration.
+ * @param {Object} node - Structure node of the declaration.
+ * @returns {string|null} - The doc comment, null if it has none.
+ */
+function getDocComment(node) {
+    if (node['key.doc.comment']) {
+        return node['key.doc.comment'].trim();
+    }
+    // Older sourcekitten versions only give the XML rendering
+    const xml = node['key.doc.full_as_xml'];
+    if (!xml) {
+        return null;
+    }
+    const text = xml
+        .replace(/<Declaration>[\s\S]*?<\/Declaration>/g, '')
+        .replace(/<Name>[\s\S]*?<\/Name>|<USR>[\s\S]*?<\/USR>/g, '')
+        .replace(/<[^>]+>/g, ' ')
+        .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&amp;/g, '&')
+        .replace(/\s+/g, ' ')
+        .trim();
+    return text || null;
+}
+
+/**
+ * Reads the `@available` attributes of a declaration and whether they deprecate it.
+ * @param {Object} node - Structure node of the declaration.
+ * @param {Buffer} buffer - Content of the file declaring it.
+ * @returns {Object} - { availability, deprecated, unavailable, deprecationMessage, renamed }.
+ */
+function getAvailability(node, buffer) {
+    const availability = (node['key.attributes'] || [])
+        .filter(attribute => attribute['key.attribute'] === 'source.decl.attribute.available')
+        .map(attribute => SourceText.textAt(buffer, attribute['key.offset'], attribute['key.length']).trim())
+        .sort((a, b) => a.localeCompare(b));
+    const stringArgument = (text, name) => {
+        const match = text.match(new RegExp(`\\b${name}:\\s*"((?:[^"\\\\]|\\\\.)*)"`));
+        return match ? match[1] : null;
+    };
+
+    const result = {
+        availability: availability,
+        deprecated: node['key.always_deprecated'] === true,
+        unavailable: node['key.always_unavailable'] === true,
+        deprecationMessage: node['key.deprecation_message'] || null,
+        renamed: null
+    };
+    availability.forEach(text => {
+        const deprecated = /\bdeprecated\b/.test(text);
+        const unavailable = /\b(?:unavailable|obsoleted)\b/.test(text);
+        if (!deprecated && !unavailable) {
+            return;
+        }
+        result.deprecated = result.deprecated || deprecated;
+        result.unavailable = result.unavailable || unavailable;
+        result.deprecationMessage = result.deprecationMessage || stringArgument(text, 'message');
+        result.renamed = result.renamed || stringArgument(text, 'renamed');
+    });
+    return result;
+}
+
+/**
+ * Builds the inventory of the public and open declarations of a module from its `sourcekitten doc` output.
+ * Members of public types and public members of extensions are listed under their type.
+ * @param {string} moduleName - Name of the module.
+ * @param {Array} docs - `sourcekitten doc` output: a list of { filePath: structure } objects.
+ * @param {Object} sources - Map of file path to its content, to read the attributes.
+ * @returns {Object} - The catalog as { module, files, declarations }, declarations being
+ *          { name, qualifiedName, parent, kind, accessibility, usr, signature, doc, availability, deprecated,
+ *            unavailable, deprecationMessage, renamed, filePath, line, column }.
+ */
+function buildCatalog(moduleName, docs, sources) {
+    const declarations = [];
+    const files = [];
+
+    const visit = (nodes, parent, parentPublic, lineIndex, filePath) => (nodes || []).forEach(node => {
+        const kind = node['key.kind'] || '';
+        if (!kind.startsWith('source.lang.swift.decl')) {
+            return;
+        }
+        // Enum cases group their elements, which are the declarations
+        if (kind === 'source.lang.swift.decl.enumcase') {
+            visit(node['key.substructure'], parent, parentPublic, lineIndex, filePath);
+            return;
+        }
+        // Extensions add members to a type, whatever their own accessibility
+        if (kind.startsWith('source.lang.swift.decl.extension')) {
+            visit(node['key.substructure'], node['key.name'], isPublic(node, true), lineIndex, filePath);
+            return;
+        }
+        if (!isPublic(node, parentPublic)) {
+            return;
+        }
+
+        const name = node['key.name'];
+        const accessibility = node['key.accessibility']
+            ? node['key.accessibility'].replace('source.lang.swift.accessibility.', '')
+            : null;
+        declarations.push(Object.assign({
+            name: name,
+            qualifiedName: parent ? `${parent}.${name}` : name,
+            parent: parent,
+            kind: kind,
+            accessibility: accessibility,
+            usr: node['key.usr'] || null,
+            signature: (node['key.parsed_declaration'] || node['key.doc.declaration'] || name).trim(),
+            doc: getDocComment(node)
+        }, getAvailability(node, lineIndex.buffer), {
+            filePath: filePath
+        }, lineIndex.positionAt(node['key.offset'] || 0)));
+
+        if (TYPE_KINDS.includes(kind)) {
+            visit(node['key.substructure'], parent ? `${parent}.${name}` : name, true, lineIndex, filePath);
+        }
+    });
+
+    (docs || []).forEach(document => {
+        Object.keys(document).sort().forEach(filePath => {
+            files.push(filePath);
+            // Positions of the declarations of a file share one line index
+            const lineIndex = new SourceText.LineIndex(sources[filePath] || '');
+            visit(document[filePath]['key.substructure'], null, false, lineIndex, filePath);
+        });
+    });
+
+    // Plain code point order keeps the members of a type right after it
+    const compare = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+    declarations.sort((a, b) => compare(a.qualifiedName, b.qualifiedName)
+        || compare(a.filePath, b.filePath)
+        || a.line - b.line);
+    return { module: moduleName, files: files.sort(), declarations: declarations };
+}
+
+/**
+ * Converts a catalog to components dataset entries, in the format of the completion suggestions:
+ * the top-level declarations, plus the initializers of the top-level types named after their type.
+ * @param {Object} catalog - Catalog returned by buildCatalog.
+ * @returns {Array} - Dataset entries as { kind, name, moduleName, typeName, descriptionKey, docBrief, associatedUSRs },
+ *          with `deprecated`, `deprecationMessage` and `renamed` for deprecated declarations.
+ */
+function toDatasetEntries(catalog) {
+    const entry = (declaration, overrides) => Object.assign({
+        kind: declaration.kind,
+        name: declaration.name,
+        moduleName: catalog.module,
+        typeName: TYPE_KINDS.includes(declaration.kind) ? declaration.name : undefined,
+        descriptionKey: declaration.signature,
+        docBrief: declaration.doc ? declaration.doc.split('\n')[0] : undefined,
+        associatedUSRs: declaration.usr || undefined,
+        deprecated: declaration.deprecated || undefined,
+        deprecationMessage: declaration.deprecationMessage || undefined,
+        renamed: declaration.renamed || undefined
+    }, overrides);
+
+    const topLevel = catalog.declarations.filter(declaration => !declaration.parent);
+    const typeNames = new Set(topLevel.map(declaration => declaration.name));
+    const initializers = catalog.declarations
+        .filter(declaration => typeNames.has(declaration.parent) && declaration.kind === CONSTRUCTOR_KIND)
+        .map(declaration => entry(declaration, {
+            name: `${declaration.parent}${declaration.name.substring('init'.length)}`,
+            typeName: declaration.parent
+        }));
+    return topLevel.map(declaration => entry(declaration, {})).concat(initializers);
+}
+
+/**
+ * Formats a catalog as text, one declaration per line grouped by type.
+ * @param {Object} catalog - Catalog returned by buildCatalog.
+ * @param {Object} options - Formatting options.
+ * @param {string} [options.rootDir] - Directory file paths are shown relative to.
+ * @returns {string} - The catalog.
+ */
+function formatCatalog(catalog, options = {}) {
+    const rootDir = options.rootDir || process.cwd();
+    const deprecatedCount = catalog.declarations.filter(declaration => declaration.deprecated).length;
+    const lines = [
+        `${catalog.module}: ${catalog.declarations.length} public declarations in ${catalog.files.length} files, ${deprecatedCount} deprecated`,
+        ''
+    ];
+    catalog.declarations.forEach(declaration => {
+        const depth = declaration.parent ? declaration.parent.split('.').length : 0;
+        const kind = declaration.kind.replace('source.lang.swift.decl.', '');
+        const location = `${path.relative(rootDir, declaration.filePath)}:${declaration.line}`;
+        lines.push(`${'  '.repeat(depth)}${declaration.signature} [${kind}] (${location})`);
+        declaration.availability.forEach(text => lines.push(`${'  '.repeat(depth + 1)}${text}`));
+        if (declaration.deprecated && declaration.availability.length === 0) {
+            lines.push(`${'  '.repeat(depth + 1)}deprecated${declaration.deprecationMessage ? `: ${declaration.deprecationMessage}` : ''}`);
+        }
+        if (declaration.doc) {
+            lines.push(`${'  '.repeat(depth + 1)}/// ${declaration.doc.split('\n')[0]}`);
+        }
+    });
+    return lines.join('\n');
+}
+
+module.exports = {
+    buildCatalog,
+    toDatasetEntries,
+    formatCatalog
+};
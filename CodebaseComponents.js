@@ -0,0 +1,192 @@
+/**
+ * Version of the codebase_components.json schema.
+ * Bump it whenever the shape of the output changes.
+ */
+const SCHEMA_VERSION = 6;
+
+/**
+ * CodebaseComponents class aggregating component usages found in the scanned files.
+ * Entries are keyed by their `module/name/kind` id, so every usage of the same
+ * component updates a single entry.
+ */
+class CodebaseComponents {
+    constructor() {
+        this.entries = new Map();
+        this.files = new Map();
+    }
+
+    /**
+     * Records a scanned file, with or without component usages.
+     * @param {string} filePath - Path of the scanned file.
+     * @param {string|null} moduleName - Project module the file belongs to.
+     */
+    addFile(filePath, moduleName) {
+        this.files.set(filePath, { module: moduleName });
+    }
+
+    /**
+     * Checks whether a component entry exists.
+     * @param {string} id - Component id (`module/name/kind`).
+     * @returns {boolean} - True if the component has been recorded.
+     */
+    has(id) {
+        return this.entries.has(id);
+    }
+
+    /**
+     * Gets a component entry.
+     * @param {string} id - Component id (`module/name/kind`).
+     * @returns {Object|undefined} - The component entry.
+     */
+    get(id) {
+        return this.entries.get(id);
+    }
+
+    /**
+     * Records one usage of a component, creating its entry on first use.
+     * @param {string} id - Component id (`module/name/kind`).
+     * @param {Function} createEntry - Returns the initial entry when the component is new.
+     * @param {string} filePath - Path of the file containing the usage.
+     * @param {Object} location - Location of the usage ({ line, column, offset, signature, ... }).
+     * @returns {Object} - The updated component entry.
+     */
+    addUsage(id, createEntry, filePath, location) {
+        let entry = this.entries.get(id);
+        if (!entry) {
+            entry = Object.assign({ id: id }, createEntry(), {
+                filewiseOccurences: {},
+                totalOccurences: 0,
+                filewiseLocation: {},
+                signatures: {}
+            });
+            this.entries.set(id, entry);
+        }
+
+        // Update the totals and keep every location of the file
+        entry.totalOccurences++;
+        entry.filewiseOccurences[filePath] = (entry.filewiseOccurences[filePath] || 0) + 1;
+        if (!entry.filewiseLocation[filePath]) {
+            entry.filewiseLocation[filePath] = [];
+        }
+        entry.filewiseLocation[filePath].push(location);
+        // Count the usages of each overload
+        if (location.signature) {
+            entry.signatures[location.signature] = (entry.signatures[location.signature] || 0) + 1;
+        }
+        return entry;
+    }
+
+    /**
+     * Forgets a file and its usages, before it is scanned again or once it is deleted.
+     * Components left without usages are removed.
+     * @param {string} filePath - Path of the file.
+     * @returns {number} - Number of usages removed.
+     */
+    removeFile(filePath) {
+        let removed = 0;
+        this.files.delete(filePath);
+        this.entries.forEach((entry, id) => {
+            const locations = entry.filewiseLocation[filePath] || [];
+            if (!entry.filewiseOccurences[filePath]) {
+                return;
+            }
+            removed += entry.filewiseOccurences[filePath];
+            entry.totalOccurences -= entry.filewiseOccurences[filePath];
+            delete entry.filewiseOccurences[filePath];
+            delete entry.filewiseLocation[filePath];
+            locations.filter(location => location.signature).forEach(location => {
+                entry.signatures[location.signature]--;
+                if (entry.signatures[location.signature] <= 0) {
+                    delete entry.signatures[location.signature];
+                }
+            });
+            if (entry.totalOccurences <= 0) {
+                this.entries.delete(id);
+            }
+        });
+        return removed;
+    }
+
+    /**
+     * Counts the usages recorded in a file.
+     * @param {string} filePath - Path of the file.
+     * @returns {number} - Number of usages of every component in the file.
+     */
+    countUsages(filePath) {
+        let usages = 0;
+        this.entries.forEach(entry => {
+            usages += entry.filewiseOccurences[filePath] || 0;
+        });
+        return usages;
+    }
+
+    /**
+     * Gets every component entry.
+     * @returns {Array} - Component entries sorted by id.
+     */
+    values() {
+        return Array.from(this.entries.values())
+            .sort((a, b) => a.id.localeCompare(b.id));
+    }
+
+    /**
+     * Serializes the components with the versioned schema.
+     * @returns {Object} - The codebase_components.json document.
+     */
+    toJSON() {
+        const components = this.values();
+        const files = new Set(this.files.keys());
+        let occurrences = 0;
+        components.forEach(component => {
+            occurrences += component.totalOccurences;
+            Object.keys(component.filewiseOccurences).forEach(filePath => files.add(filePath));
+        });
+
+        return {
+            schemaVersion: SCHEMA_VERSION,
+            generatedAt: new Date().toISOString(),
+            summary: {
+                components: components.length,
+                occurrences: occurrences,
+                files: files.size
+            },
+            // Files finish scanning in any order, sort them for a stable output
+            components: components.map(component => Object.assign({}, component, {
+                filewiseOccurences: sortKeys(component.filewiseOccurences),
+                filewiseLocation: sortKeys(component.filewiseLocation),
+                signatures: sortKeys(component.signatures)
+            })),
+            files: sortKeys(mapToObject(this.files))
+        };
+    }
+}
+
+/**
+ * Converts a Map with string keys to a plain object.
+ * @param {Map} map - Map to convert.
+ * @returns {Object} - The object.
+ */
+function mapToObject(map) {
+    const object = {};
+    map.forEach((value, key) => {
+        object[key] = value;
+    });
+    return object;
+}
+
+/**
+ * Copies an object with its keys sorted.
+ * @param {Object} object - Object to copy.
+ * @returns {Object} - The copy with sorted keys.
+ */
+function sortKeys(object) {
+    const sorted = {};
+    Object.keys(object).sort().forEach(key => {
+        sorted[key] = object[key];
+    });
+    return sorted;
+}
+
+CodebaseComponents.SCHEMA_VERSION = SCHEMA_VERSION;
+
+module.exports = CodebaseComponents;
@@ -0,0 +1,233 @@
+// Required modules
+const fs = require("fs");
+const path = require("path");
+const { REPORTERS } = require('./Reporters');
+
+/**
+ * Names of the project configuration files, looked up in this order.
+ * Both contain JSON.
+ */
+const CONFIG_FILES = ['.swiftscanner.json', '.swiftscannerrc'];
+
+/**
+ * Schema of the configuration file.
+ * Each setting has a type (string, number, boolean, string[], or a map of strings or string lists; numbers are
+ * positive integers),
+ * optional allowed values, whether it is a path resolved relative to the configuration file,
+ * and the command line option setting it when its name differs.
+ */
+const SCHEMA = {
+    design: { type: 'string[]', description: 'Design system modules' },
+    include: { type: 'string[]', description: 'Glob patterns of the files to scan' },
+    exclude: { type: 'string[]', description: 'Glob patterns of the files and folders to skip' },
+    gitignore: { type: 'boolean', description: 'Skip the files ignored by .gitignore files' },
+    output: { type: 'string', path: true, description: 'Report path' },
+    format: { type: 'string', values: Object.keys(REPORTERS), description: 'Report format' },
+    dataset: { type: 'string', path: true, description: 'Components dataset path' },
+    jobs: { type: 'number', description: 'Number of files scanned concurrently' },
+    cache: { type: 'boolean', description: 'Reuse the results of unchanged files' },
+    backend: { type: 'string', values: ['shell', 'fixture'], description: 'SourceKitten backend driver' },
+    fixtures: { type: 'string', path: true, description: 'Fixture file replayed by the fixture backend' },
+    resolver: { type: 'string', values: ['describe', 'debug-yaml', 'auto'], description: 'SPM module resolver' },
+    matching: { type: 'string', values: ['type', 'name'], description: 'Usage matching' },
+    aliases: { type: 'map<string>', description: 'Module names reported under another name' },
+    tags: { type: 'map<string[]>', description: 'Tags of the components of each module' },
+    thresholds: { type: 'object', description: 'Regression thresholds, see the compare command' },
+    strict: { type: 'boolean', description: 'Fail the scan on any error' },
+    configuration: { type: 'string', values: ['debug', 'release'], description: 'Build configuration' },
+    skipBuild: { type: 'boolean', description: 'Never build, read the manifest of an earlier build' },
+    buildTimeout: { type: 'number', description: 'Seconds after which the build is stopped' },
+    swiftcFlags: { type: 'string[]', flag: 'Xswiftc', description: 'Flags passed to the compiler with -Xswiftc' },
+    derivedData: { type: 'string', path: true, description: 'Xcode DerivedData folder' },
+    rules: { type: 'string', path: true, description: 'Rules file of the lint command' }
+};
+
+/**
+ * Defaults of the settings neither the configuration file nor the command line set.
+ */
+const DEFAULTS = {
+    design: [],
+    include: [],
+    exclude: [],
+    gitignore: true,
+    format: 'json',
+    cache: true,
+    backend: 'shell',
+    resolver: 'auto',
+    matching: 'type',
+    aliases: {},
+    tags: {},
+    thresholds: {},
+    strict: false,
+    configuration: 'debug',
+    skipBuild: false,
+    swiftcFlags: []
+};
+
+/**
+ * Checks a value against a schema type.
+ * @param {*} value - Value of the setting.
+ * @param {string} type - Schema type.
+ * @returns {boolean} - True if the value has the type.
+ */
+function hasType(value, type) {
+    const isStringList = list => Array.isArray(list) && list.every(item => typeof item === 'string');
+    const isMap = map => map !== null && typeof map === 'object' && !Array.isArray(map);
+    switch (type) {
+        case 'string[]':
+            return isStringList(value);
+        case 'map<string>':
+            return isMap(value) && Object.keys(value).every(key => typeof value[key] === 'string');
+        case 'map<string[]>':
+            return isMap(value) && Object.keys(value).every(key => isStringList(value[key]));
+        case 'object':
+            return isMap(value);
+        default:
+            return typeof value === type;
+    }
+}
+
+/**
+ * Checks whether a value is a positive integer, as number settings are.
+ * @param {*} value - Value of the setting.
+ * @returns {boolean} - True for integers above zero.
+ */
+function isPositiveInteger(value) {
+    return Number.isInteger(value) && value > 0;
+}
+
+/**
+ * Gets the command line option of a setting, e.g. `--build-timeout` for buildTimeout.
+ * @param {string} key - Name of the setting.
+ * @returns {string} - The option.
+ */
+function optionName(key) {
+    return `--${(SCHEMA[key].flag || key).replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)}`;
+}
+
+/**
+ * Validates a configuration against the schema.
+ * @param {Object} config - Parsed configuration.
+ * @returns {Array} - Validation errors, empty when the configuration is valid.
+ */
+function validateConfig(config) {
+    if (!hasType(config, 'object')) {
+        return ['the configuration must be a JSON object'];
+    }
+    const errors = [];
+    Object.keys(config).forEach(key => {
+        const setting = SCHEMA[key];
+        if (!setting) {
+            errors.push(`unknown setting "${key}", expected one of ${Object.keys(SCHEMA).join(', ')}`);
+        } else if (!hasType(config[key], setting.type)) {
+            errors.push(`"${key}" must be of type ${setting.type}`);
+        } else if (setting.values && !setting.values.includes(config[key])) {
+            errors.push(`"${key}" must be one of ${setting.values.join(', ')}`);
+        } else if (setting.type === 'number' && !isPositiveInteger(config[key])) {
+            errors.push(`"${key}" must be a positive integer`);
+        }
+    });
+    return errors;
+}
+
+/**
+ * Finds the configuration file of a project, looking in the directory and then its parents.
+ * @param {string} startDir - Directory to start from.
+ * @returns {string|null} - Path of the configuration file, null if there is none.
+ */
+function findConfigFile(startDir = process.cwd()) {
+    let directory = path.resolve(startDir);
+    for (;;) {
+        for (const name of CONFIG_FILES) {
+            const configPath = path.join(directory, name);
+            if (fs.existsSync(configPath)) {
+                return configPath;
+            }
+        }
+        const parent = path.dirname(directory);
+        if (parent === directory) {
+            return null;
+        }
+        directory = parent;
+    }
+}
+
+/**
+ * Loads and validates a configuration file.
+ * Path settings are resolved relative to the configuration file.
+ * @param {string} [configPath] - Path of the configuration file, looked up from the current directory by default.
+ * @returns {Object} - The configuration as { path, rootDir, config }; without a file, path is null and config empty.
+ * @throws {Error} - If the file cannot be read, is not JSON or does not match the schema.
+ */
+function loadConfig(configPath) {
+    const filePath = configPath ? path.resolve(configPath) : findConfigFile();
+    if (!filePath) {
+        return { path: null, rootDir: process.cwd(), config: {} };
+    }
+
+    let config;
+    try {
+        config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Invalid configuration ${filePath}: ${error.message}`);
+    }
+    const errors = validateConfig(config);
+    if (errors.length > 0) {
+        throw new Error(`Invalid configuration ${filePath}:\n - ${errors.join('\n - ')}`);
+    }
+
+    const rootDir = path.dirname(filePath);
+    Object.keys(config).filter(key => SCHEMA[key].path).forEach(key => {
+        config[key] = path.resolve(rootDir, config[key]);
+    });
+    return { path: filePath, rootDir, config };
+}
+
+/**
+ * Merges a configuration with the command line options, which take precedence, and the defaults.
+ * Path options are resolved relative to the current directory, as typed on the command line.
+ * @param {Object} config - Configuration returned by loadConfig.
+ * @param {Object} cmd - Parsed command options; comma-separated lists are split, repeatable options are lists.
+ * @returns {Object} - The settings, with every key of the schema and the project `rootDir`.
+ * @throws {Error} - If a number option is not a positive integer.
+ */
+function mergeOptions(config, cmd = {}) {
+    const settings = Object.assign({}, DEFAULTS, config.config, { rootDir: config.rootDir });
+    const lists = ['design', 'include', 'exclude'];
+    Object.keys(SCHEMA).forEach(key => {
+        const value = cmd[SCHEMA[key].flag || key];
+        if (value === undefined || typeof value === 'function') {
+            return;
+        }
+        if (lists.includes(key)) {
+            settings[key] = value.split(',').map(item => item.trim()).filter(Boolean);
+        } else if (SCHEMA[key].type === 'string[]') {
+            // Repeatable options collect their values
+            settings[key] = value;
+        } else if (SCHEMA[key].type === 'number') {
+            // parseInt would read `abc` as NaN and `2x` as 2, falling back to defaults without a word
+            const number = String(value).trim() === '' ? NaN : Number(value);
+            if (!isPositiveInteger(number)) {
+                throw new Error(`Invalid ${optionName(key)} "${value}", expected a positive integer`);
+            }
+            settings[key] = number;
+        } else if (SCHEMA[key].type === 'boolean') {
+            // Commander defaults --no-* flags to true, only a flag changing the default overrides the configuration
+            if (value !== DEFAULTS[key]) {
+                settings[key] = value;
+            }
+        } else if (SCHEMA[key].type === 'string') {
+            settings[key] = SCHEMA[key].path ? path.resolve(value) : value;
+        }
+    });
+    return settings;
+}
+
+module.exports = {
+    CONFIG_FILES,
+    SCHEMA,
+    validateConfig,
+    findConfigFile,
+    loadConfig,
+    mergeOptions
+};
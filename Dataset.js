@@ -0,0 +1,176 @@
+// Required modules
+const fs = require("fs").promises;
+const path = require("path");
+
+/**
+ * Version of the components_dataset.json file format.
+ */
+const DATASET_FORMAT = 1;
+
+/**
+ * Parses the pins of a Package.resolved file.
+ * Supports the v1 format (`object.pins`) and the v2/v3 formats (`pins`).
+ * @param {string} content - Content of Package.resolved.
+ * @returns {Array} - Pins as { identity, location, version, revision, branch }.
+ */
+function parseResolvedPins(content) {
+    const resolved = JSON.parse(content);
+    const pins = resolved.pins || (resolved.object && resolved.object.pins) || [];
+    return pins.map(pin => {
+        const state = pin.state || {};
+        return {
+            identity: (pin.identity || pin.package || '').toLowerCase(),
+            location: pin.location || pin.repositoryURL || null,
+            version: state.version || null,
+            revision: state.revision || null,
+            branch: state.branch || null
+        };
+    });
+}
+
+/**
+ * Parses a Package.resolved file into the pinned version of each package.
+ * @param {string} content - Content of Package.resolved.
+ * @returns {Object} - Map of package identity to its version, revision or branch.
+ */
+function parseResolvedPackages(content) {
+    return pinnedVersions(parseResolvedPins(content));
+}
+
+/**
+ * Maps each pin to its version, falling back to its revision or branch.
+ * @param {Array} pins - Pins returned by parseResolvedPins.
+ * @returns {Object} - Map of package identity to its version, revision or branch.
+ */
+function pinnedVersions(pins) {
+    const packages = {};
+    pins.forEach(pin => {
+        packages[pin.identity] = pin.version || pin.revision || pin.branch;
+    });
+    return packages;
+}
+
+/**
+ * Reads the pins of a project's Package.resolved.
+ * @param {string} rootDir - Root directory of the project.
+ * @returns {Promise<Array>} - Pins, empty without Package.resolved.
+ */
+async function readResolvedPins(rootDir = process.cwd()) {
+    try {
+        const content = await fs.readFile(path.join(rootDir, 'Package.resolved'), 'utf8');
+        return parseResolvedPins(content);
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            return [];
+        }
+        throw error;
+    }
+}
+
+/**
+ * Reads the resolved package versions of a project.
+ * @param {string} rootDir - Root directory of the project.
+ * @returns {Promise<Object>} - Map of package identity to version, empty without Package.resolved.
+ */
+async function readResolvedPackages(rootDir = process.cwd()) {
+    return pinnedVersions(await readResolvedPins(rootDir));
+}
+
+/**
+ * Lists the differences between the stamp a dataset was built with and the current one.
+ * @param {Object|null} previous - Stamp saved in the dataset.
+ * @param {Object} current - Stamp of the current project and toolchain.
+ * @returns {Array} - Human readable changes, empty when the dataset is up to date.
+ */
+function stampChanges(previous, current) {
+    if (!previous) {
+        return ['dataset has no stamp'];
+    }
+    const changes = [];
+    if (previous.toolchain !== current.toolchain) {
+        changes.push(`toolchain changed: ${previous.toolchain} -> ${current.toolchain}`);
+    }
+    const previousPackages = previous.packages || {};
+    const currentPackages = current.packages || {};
+    const identities = new Set(Object.keys(previousPackages).concat(Object.keys(currentPackages)));
+    Array.from(identities).sort().forEach(identity => {
+        if (!(identity in previousPackages)) {
+            changes.push(`package added: ${identity} ${currentPackages[identity]}`);
+        } else if (!(identity in currentPackages)) {
+            changes.push(`package removed: ${identity} ${previousPackages[identity]}`);
+        } else if (previousPackages[identity] !== currentPackages[identity]) {
+            changes.push(`package changed: ${identity} ${previousPackages[identity]} -> ${currentPackages[identity]}`);
+        }
+    });
+    return changes;
+}
+
+/**
+ * Wraps the dataset modules with their stamp for saving.
+ * @param {Object} modules - Map of module name to its components.
+ * @param {Object|null} stamp - Stamp the dataset was built with.
+ * @returns {Object} - The components_dataset.json document.
+ */
+function serializeDataset(modules, stamp) {
+    return {
+        format: DATASET_FORMAT,
+        createdAt: new Date().toISOString(),
+        stamp: stamp,
+        modules: modules
+    };
+}
+
+/**
+ * Reads a components_dataset.json document.
+ * Datasets saved before stamping was introduced are a bare module map and have no stamp.
+ * @param {Object} document - Parsed components_dataset.json.
+ * @returns {Object} - The dataset as { stamp, modules }.
+ */
+function deserializeDataset(document) {
+    if (document && document.format === DATASET_FORMAT && document.modules) {
+        return { stamp: document.stamp || null, modules: document.modules };
+    }
+    return { stamp: null, modules: document || {} };
+}
+
+/**
+ * Compares the components of two datasets.
+ * @param {Object} previous - Map of module name to components of the older dataset.
+ * @param {Object} current - Map of module name to components of the newer dataset.
+ * @returns {Object} - Added and removed modules, and added and removed components per module.
+ */
+function diffDatasets(previous, current) {
+    const componentKeys = components => new Set((components || []).map(component => `${component.kind} ${component.name}`));
+    const diff = {
+        addedModules: Object.keys(current).filter(moduleName => !(moduleName in previous)).sort(),
+        removedModules: Object.keys(previous).filter(moduleName => !(moduleName in current)).sort(),
+        addedComponents: {},
+        removedComponents: {}
+    };
+
+    Object.keys(current).filter(moduleName => moduleName in previous).sort().forEach(moduleName => {
+        const previousKeys = componentKeys(previous[moduleName]);
+        const currentKeys = componentKeys(current[moduleName]);
+        const added = Array.from(currentKeys).filter(key => !previousKeys.has(key)).sort();
+        const removed = Array.from(previousKeys).filter(key => !currentKeys.has(key)).sort();
+        if (added.length > 0) {
+            diff.addedComponents[moduleName] = added;
+        }
+        if (removed.length > 0) {
+            diff.removedComponents[moduleName] = removed;
+        }
+    });
+    return diff;
+}
+
+module.exports = {
+    DATASET_FORMAT,
+    parseResolvedPins,
+    parseResolvedPackages,
+    readResolvedPins,
+    readResolvedPackages,
+    stampChanges,
+    serializeDataset,
+    deserializeDataset,
+    diffDatasets
+};
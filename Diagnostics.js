@@ -0,0 +1,257 @@
+// Required modules
+const path = require("path");
+
+/**
+ * Codes of the diagnostics, one per kind of failure.
+ */
+const DIAGNOSTIC_CODES = {
+    TOOLCHAIN_MISSING: 'toolchain-missing',
+    BUILD_FAILED: 'build-failed',
+    PARSE_FAILED: 'parse-failed',
+    MODULE_NOT_FOUND: 'module-not-found',
+    COMMAND_FAILED: 'command-failed',
+    SCAN_FAILED: 'scan-failed'
+};
+
+/**
+ * ScanError class, the base of the typed errors of a scan.
+ * Carries a diagnostic code and the file and module the error happened in.
+ */
+class ScanError extends Error {
+    /**
+     * Constructor for ScanError.
+     * @param {string} message - Description of the error.
+     * @param {Object} [details] - Context of the error.
+     * @param {string} [details.code] - Diagnostic code, see DIAGNOSTIC_CODES.
+     * @param {string} [details.filePath] - File the error happened in.
+     * @param {string} [details.module] - Module the error happened in.
+     * @param {Error} [details.cause] - Underlying error.
+     */
+    constructor(message, details = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.code = details.code || DIAGNOSTIC_CODES.SCAN_FAILED;
+        this.filePath = details.filePath || null;
+        this.module = details.module || null;
+        this.cause = details.cause || null;
+    }
+}
+
+/**
+ * The Swift toolchain or sourcekitten is not installed or not on the PATH.
+ */
+class ToolchainMissingError extends ScanError {
+    constructor(message, details = {}) {
+        super(message, Object.assign({}, details, { code: DIAGNOSTIC_CODES.TOOLCHAIN_MISSING }));
+    }
+}
+
+/**
+ * The package build, needed to resolve the modules, failed.
+ */
+class BuildFailedError extends ScanError {
+    constructor(message, details = {}) {
+        super(message, Object.assign({}, details, { code: DIAGNOSTIC_CODES.BUILD_FAILED }));
+    }
+}
+
+/**
+ * The output of sourcekitten or swift could not be parsed.
+ */
+class ParseError extends ScanError {
+    constructor(message, details = {}) {
+        super(message, Object.assign({}, details, { code: DIAGNOSTIC_CODES.PARSE_FAILED }));
+    }
+}
+
+/**
+ * A module is not part of the project, or a file belongs to no module.
+ */
+class ModuleNotFoundError extends ScanError {
+    constructor(message, details = {}) {
+        super(message, Object.assign({}, details, { code: DIAGNOSTIC_CODES.MODULE_NOT_FOUND }));
+    }
+}
+
+/**
+ * Converts any error to a typed scan error, adding the file and module it happened in.
+ * Missing programs become ToolchainMissingError and invalid JSON ParseError.
+ * @param {Error} error - The error.
+ * @param {Object} [details] - Context of the error, as { filePath, module }.
+ * @returns {ScanError} - The typed error; scan errors are returned as is, with the missing context filled in.
+ */
+function toScanError(error, details = {}) {
+    if (error instanceof ScanError) {
+        error.filePath = error.filePath || details.filePath || null;
+        error.module = error.module || details.module || null;
+        return error;
+    }
+    const context = Object.assign({}, details, { cause: error });
+    if (error && error.code === 'ENOENT' && String(error.syscall || '').startsWith('spawn')) {
+        return new ToolchainMissingError(`${error.path} not found, install the Swift toolchain and sourcekitten`, context);
+    }
+    if (error instanceof SyntaxError) {
+        return new ParseError(error.message, context);
+    }
+    return new ScanError(error && error.message ? error.message : String(error), context);
+}
+
+/**
+ * Diagnostics class collecting the errors and warnings of a scan, per file and module.
+ */
+class Diagnostics {
+    constructor() {
+        this.entries = [];
+    }
+
+    /**
+     * Records a diagnostic.
+     * @param {string} severity - error or warning.
+     * @param {string} message - Description of the failure.
+     * @param {Object} [details] - Context of the failure.
+     * @param {Error} [details.error] - The error, its code is used when details.code is not given.
+     * @param {string} [details.code] - Diagnostic code, see DIAGNOSTIC_CODES.
+     * @param {string} [details.filePath] - File the failure happened in.
+     * @param {string} [details.module] - Module the failure happened in.
+     * @returns {Object} - The diagnostic as { severity, code, message, filePath, module, error }.
+     */
+    add(severity, message, details = {}) {
+        const error = details.error ? toScanError(details.error, details) : null;
+        const diagnostic = {
+            severity: severity,
+            code: details.code || (error ? error.code : DIAGNOSTIC_CODES.SCAN_FAILED),
+            message: message,
+            filePath: details.filePath || (error && error.filePath) || null,
+            module: details.module || (error && error.module) || null,
+            error: error
+        };
+        this.entries.push(diagnostic);
+        return diagnostic;
+    }
+
+    /**
+     * Forgets the diagnostics of a file, before it is scanned again or once it is deleted.
+     * @param {string} filePath - Path of the file.
+     */
+    removeFile(filePath) {
+        this.entries = this.entries.filter(entry => entry.filePath !== filePath);
+    }
+
+    get errors() {
+        return this.entries.filter(entry => entry.severity === 'error');
+    }
+
+    get warnings() {
+        return this.entries.filter(entry => entry.severity === 'warning');
+    }
+
+    /**
+     * Checks whether an error was recorded, which fails the scan in strict mode.
+     * @returns {boolean} - True if there is at least one error.
+     */
+    hasErrors() {
+        return this.entries.some(entry => entry.severity === 'error');
+    }
+
+    /**
+     * Groups the diagnostics by a property.
+     * @param {string} key - filePath, module or code.
+     * @returns {Object} - Map of the property value to its diagnostics; diagnostics without it are left out.
+     */
+    groupBy(key) {
+        const groups = {};
+        this.entries.filter(entry => entry[key]).forEach(entry => {
+            (groups[entry[key]] = groups[entry[key]] || []).push(entry);
+        });
+        return groups;
+    }
+
+    /**
+     * Gets the diagnostics of each file.
+     * @returns {Object} - Map of file path to its diagnostics.
+     */
+    byFile() {
+        return this.groupBy('filePath');
+    }
+
+    /**
+     * Gets the diagnostics of each module.
+     * @returns {Object} - Map of module name to its diagnostics.
+     */
+    byModule() {
+        return this.groupBy('module');
+    }
+
+    /**
+     * Serializes the diagnostics, the errors being reduced to their name.
+     * @returns {Array} - Diagnostics as { severity, code, message, filePath, module, error }.
+     */
+    toJSON() {
+        return this.entries.map(entry => Object.assign({}, entry, { error: entry.error ? entry.error.name : null }));
+    }
+}
+
+/**
+ * Formats the summary table printed at the end of a scan: one row per diagnostic code,
+ * with the number of errors and warnings and the modules or files they happened in.
+ * @param {Diagnostics} diagnostics - Diagnostics of the scan.
+ * @param {Object} options - Formatting options.
+ * @param {Array} [options.files] - Paths of the scanned files.
+ * @param {string} [options.rootDir] - Directory file paths are shown relative to.
+ * @returns {string} - The summary.
+ */
+function formatSummary(diagnostics, options = {}) {
+    const rootDir = options.rootDir || process.cwd();
+    const files = options.files || [];
+    const byFile = diagnostics.byFile();
+    const failedFiles = Object.keys(byFile).filter(filePath => byFile[filePath].some(entry => entry.severity === 'error'));
+    const lines = [
+        'Scan summary:',
+        `  files scanned: ${files.length}`,
+        `  files failed:  ${failedFiles.length}`,
+        `  errors:        ${diagnostics.errors.length}`,
+        `  warnings:      ${diagnostics.warnings.length}`
+    ];
+    if (diagnostics.entries.length === 0) {
+        return lines.join('\n');
+    }
+
+    const rows = [['Diagnostic', 'Errors', 'Warnings', 'Where']];
+    const groups = diagnostics.groupBy('code');
+    Object.keys(groups).sort().forEach(code => {
+        const entries = groups[code];
+        const places = [];
+        entries.forEach(entry => {
+            const place = entry.filePath ? path.relative(rootDir, entry.filePath) : entry.module;
+            if (place && !places.includes(place)) {
+                places.push(place);
+            }
+        });
+        const where = places.length > 3 ? `${places.slice(0, 3).join(', ')} and ${places.length - 3} more` : places.join(', ');
+        rows.push([
+            code,
+            String(entries.filter(entry => entry.severity === 'error').length),
+            String(entries.filter(entry => entry.severity === 'warning').length),
+            where || '-'
+        ]);
+    });
+
+    const widths = rows[0].map((_, column) => Math.max(...rows.map(row => row[column].length)));
+    lines.push('');
+    rows.forEach(row => {
+        lines.push(`  ${row.map((cell, column) => (column === row.length - 1 ? cell : cell.padEnd(widths[column]))).join('  ')}`);
+    });
+    return lines.join('\n');
+}
+
+module.exports = {
+    DIAGNOSTIC_CODES,
+    ScanError,
+    ToolchainMissingError,
+    BuildFailedError,
+    ParseError,
+    ModuleNotFoundError,
+    toScanError,
+    Diagnostics,
+    formatSummary
+};
@@ -0,0 +1,299 @@
+// Required modules
+const fs = require("fs").promises;
+const path = require("path");
+const { execFile } = require('child_process');
+const Glob = require('./Glob');
+
+/**
+ * Folders never scanned: build products, derived data and version control metadata.
+ */
+const DEFAULT_EXCLUDES = ['.build', 'DerivedData', '.swiftpm', '.git'];
+
+/**
+ * Parses the rules of a .gitignore file.
+ * @param {string} content - Content of the .gitignore file.
+ * @param {string} baseDir - Directory of the .gitignore file, the rules are relative to it.
+ * @returns {Array} - Rules as { pattern, negated, directoryOnly, baseDir }, in file order.
+ */
+function parseGitignore(content, baseDir) {
+    const rules = [];
+    content.split(/\r?\n/).forEach(line => {
+        let pattern = line.replace(/(?<!\\)\s+$/, '');
+        if (!pattern || pattern.startsWith('#')) {
+            return;
+        }
+        const negated = pattern.startsWith('!');
+        if (negated) {
+            pattern = pattern.substring(1);
+        }
+        // A leading backslash escapes a literal # or !
+        pattern = pattern.replace(/^\\([#!])/, '$1');
+        const directoryOnly = pattern.endsWith('/');
+        rules.push({ pattern, negated, directoryOnly, baseDir });
+    });
+    return rules;
+}
+
+/**
+ * Checks whether a path is ignored by .gitignore rules; the last matching rule wins.
+ * @param {string} filePath - Absolute path.
+ * @param {boolean} isDirectory - Whether the path is a directory.
+ * @param {Array} rules - Rules returned by parseGitignore, outer files first.
+ * @returns {boolean} - True if the path is ignored.
+ */
+function isIgnored(filePath, isDirectory, rules) {
+    let ignored = false;
+    rules.forEach(rule => {
+        if (rule.directoryOnly && !isDirectory) {
+            return;
+        }
+        const relativePath = path.relative(rule.baseDir, filePath).split(path.sep).join('/');
+        if (relativePath.startsWith('..')) {
+            return;
+        }
+        if (Glob.globToRegExp(rule.pattern).test(relativePath)) {
+            ignored = !rule.negated;
+        }
+    });
+    return ignored;
+}
+
+/**
+ * Runs git and resolves to its output.
+ * @param {Array} args - Arguments of git.
+ * @param {string} cwd - Directory to run git in.
+ * @returns {Promise<string>} - Standard output of git.
+ */
+function git(args, cwd) {
+    return new Promise((resolve, reject) => {
+        execFile('git', args, { cwd, maxBuffer: 1024 * 1024 * 64 }, (error, stdout, stderr) => {
+            if (error) {
+                reject(new Error(`git ${args.join(' ')} failed: ${(stderr || error.message).trim()}`));
+                return;
+            }
+            resolve(stdout);
+        });
+    });
+}
+
+/**
+ * Lists the files changed since a git ref: the files changed on the branch since it forked from the ref,
+ * uncommitted changes and untracked files. Deleted files are left out.
+ * @param {string} ref - Git ref, e.g. `origin/main`.
+ * @param {string} cwd - Directory inside the repository.
+ * @returns {Promise<Set>} - Absolute paths of the changed files.
+ */
+async function readChangedFiles(ref, cwd = process.cwd()) {
+    const topLevel = (await git(['rev-parse', '--show-toplevel'], cwd)).trim();
+    const mergeBase = (await git(['merge-base', ref, 'HEAD'], cwd)).trim();
+    const changed = await git(['diff', '--name-only', '--diff-filter=d', mergeBase], cwd);
+    const untracked = await git(['ls-files', '--others', '--exclude-standard'], topLevel);
+    return new Set(changed.split('\n').concat(untracked.split('\n'))
+        .filter(Boolean)
+        .map(file => path.join(topLevel, file)));
+}
+
+/**
+ * FileSelector class selecting the Swift files to scan.
+ * Honours include and exclude glob patterns and .gitignore files, and skips symlink loops.
+ */
+class FileSelector {
+    /**
+     * Constructor for FileSelector.
+     * @param {Object} options - Selection options.
+     * @param {string} [options.rootDir] - Project root the patterns are relative to, the current directory by default.
+     * @param {Array} [options.include] - Glob patterns of the files to select, every Swift file by default.
+     * @param {Array} [options.exclude] - Glob patterns of the files and folders to skip.
+     * @param {boolean} [options.gitignore] - Skip the files ignored by .gitignore files, defaults to true.
+     * @param {Set} [options.changedFiles] - Only select these absolute paths, see readChangedFiles.
+     */
+    constructor(options = {}) {
+        this.rootDir = path.resolve(options.rootDir || process.cwd());
+        this.include = options.include || [];
+        this.exclude = DEFAULT_EXCLUDES.concat(options.exclude || []);
+        this.gitignore = options.gitignore !== false;
+        this.changedFiles = options.changedFiles || null;
+        this.visitedDirectories = new Set();
+        this.selectedFiles = new Set();
+    }
+
+    /**
+     * Selects the Swift files of several paths, skipping files listed twice.
+     * Files given explicitly are selected even when excluded.
+     * @param {Array} filePaths - Paths of files or directories.
+     * @returns {Promise<Array>} - Paths of the selected files, in directory order.
+     */
+    async select(filePaths) {
+        const files = [];
+        for (const filePath of filePaths) {
+            const absolutePath = path.resolve(filePath);
+            const stats = await fs.stat(absolutePath);
+            const selected = stats.isDirectory()
+                ? await this.walk(absolutePath, await this.readAncestorRules(absolutePath))
+                : await this.selectFile(absolutePath, true);
+            files.push(...selected);
+        }
+        return files;
+    }
+
+    /**
+     * Selects a Swift file found in one of several paths, as walking them would, without walking them again,
+     * e.g. a file created since they were selected.
+     * @param {string} filePath - Absolute path of the file.
+     * @param {Array} filePaths - Paths of the files or directories the file may be in.
+     * @returns {Promise<Array>} - The file, or nothing if selecting the paths would not select it.
+     */
+    async selectFound(filePath, filePaths) {
+        for (const rootPath of filePaths.map(selectedPath => path.resolve(selectedPath))) {
+            if (filePath === rootPath) {
+                return this.selectFile(filePath, true);
+            }
+            if (!filePath.startsWith(rootPath + path.sep)) {
+                continue;
+            }
+            // The folders between the walked directory and the file must not be excluded either
+            let rules = await this.readAncestorRules(rootPath);
+            let directory = rootPath;
+            for (const segment of path.relative(rootPath, filePath).split(path.sep)) {
+                rules = this.gitignore ? rules.concat(await this.readRules(directory)) : rules;
+                const entryPath = path.join(directory, segment);
+                const isDirectory = entryPath !== filePath;
+                if (this.isExcluded(entryPath, isDirectory, rules)) {
+                    return [];
+                }
+                directory = entryPath;
+            }
+            return this.selectFile(filePath, false);
+        }
+        return [];
+    }
+
+    /**
+     * Reads the .gitignore rules applying to a directory, from the project root down to the directory.
+     * @param {string} directory - Absolute path of the directory.
+     * @returns {Promise<Array>} - The rules, outer files first.
+     */
+    async readAncestorRules(directory) {
+        if (!this.gitignore) {
+            return [];
+        }
+        const relativePath = path.relative(this.rootDir, directory);
+        if (relativePath.startsWith('..') || path.isAbsolute(relativePath)) {
+            return [];
+        }
+        // The rules of the directory itself are read when walking it
+        const ancestors = [this.rootDir];
+        relativePath.split(path.sep).filter(Boolean).slice(0, -1).forEach(segment => {
+            ancestors.push(path.join(ancestors[ancestors.length - 1], segment));
+        });
+        let rules = [];
+        for (const ancestor of ancestors.filter(ancestor => ancestor !== directory)) {
+            rules = rules.concat(await this.readRules(ancestor));
+        }
+        return rules;
+    }
+
+    /**
+     * Reads the .gitignore rules of a directory.
+     * @param {string} directory - Absolute path of the directory.
+     * @returns {Promise<Array>} - The rules, empty without .gitignore.
+     */
+    async readRules(directory) {
+        try {
+            return parseGitignore(await fs.readFile(path.join(directory, '.gitignore'), 'utf8'), directory);
+        } catch (error) {
+            return [];
+        }
+    }
+
+    /**
+     * Recursively selects the Swift files of a directory.
+     * @param {string} directory - Absolute path of the directory.
+     * @param {Array} rules - .gitignore rules of the parent directories.
+     * @returns {Promise<Array>} - Paths of the selected files, in directory order.
+     */
+    async walk(directory, rules) {
+        // Symlinks can lead back to a directory being walked
+        const realPath = await fs.realpath(directory);
+        if (this.visitedDirectories.has(realPath)) {
+            return [];
+        }
+        this.visitedDirectories.add(realPath);
+
+        const directoryRules = this.gitignore ? rules.concat(await this.readRules(directory)) : rules;
+        const entries = (await fs.readdir(directory)).sort();
+        // One entry at a time: walking every entry of a large tree at once runs out of file handles (EMFILE)
+        const files = [];
+        for (const entry of entries) {
+            const entryPath = path.join(directory, entry);
+            let stats;
+            try {
+                // Follow symlinks, broken ones are skipped
+                stats = await fs.stat(entryPath);
+            } catch (error) {
+                continue;
+            }
+            if (this.isExcluded(entryPath, stats.isDirectory(), directoryRules)) {
+                continue;
+            }
+            files.push(...(stats.isDirectory()
+                ? await this.walk(entryPath, directoryRules)
+                : await this.selectFile(entryPath, false)));
+        }
+        return files;
+    }
+
+    /**
+     * Checks whether a path found while walking is excluded by the patterns or .gitignore.
+     * @param {string} entryPath - Absolute path.
+     * @param {boolean} isDirectory - Whether the path is a directory.
+     * @param {Array} rules - .gitignore rules applying to the path.
+     * @returns {boolean} - True if the path is excluded.
+     */
+    isExcluded(entryPath, isDirectory, rules) {
+        return Glob.matchesAny(this.getRelativePath(entryPath), this.exclude)
+            || (this.gitignore && isIgnored(entryPath, isDirectory, rules));
+    }
+
+    /**
+     * Selects a Swift file.
+     * @param {string} filePath - Absolute path of the file.
+     * @param {boolean} explicit - Whether the file was given explicitly, rather than found while walking.
+     * @returns {Promise<Array>} - The file, or nothing if it is not selected.
+     */
+    async selectFile(filePath, explicit) {
+        if (!filePath.endsWith('.swift')) {
+            return [];
+        }
+        if (!explicit && this.include.length > 0 && !Glob.matchesAny(this.getRelativePath(filePath), this.include)) {
+            return [];
+        }
+        if (this.changedFiles && !this.changedFiles.has(filePath)) {
+            return [];
+        }
+        // The same file can be reached through symlinks
+        const realPath = await fs.realpath(filePath);
+        if (this.selectedFiles.has(realPath)) {
+            return [];
+        }
+        this.selectedFiles.add(realPath);
+        return [filePath];
+    }
+
+    /**
+     * Gets the path of a file relative to the project root, with forward slashes, as glob patterns expect.
+     * @param {string} filePath - Absolute path.
+     * @returns {string} - The root-relative path.
+     */
+    getRelativePath(filePath) {
+        return path.relative(this.rootDir, filePath).split(path.sep).join('/');
+    }
+}
+
+module.exports = {
+    DEFAULT_EXCLUDES,
+    FileSelector,
+    parseGitignore,
+    isIgnored,
+    readChangedFiles
+};
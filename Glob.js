@@ -0,0 +1,87 @@
+/**
+ * Converts a glob pattern to a regular expression matching root-relative paths with forward slashes.
+ *
+ * Supported syntax:
+ *  - `*` matches within a path segment, `?` matches one character, `{a,b}` matches either alternative;
+ *    a brace without its pair matches itself.
+ *  - `**` matches any number of segments, e.g. `Sources/**\/*.swift`.
+ *  - A pattern without a slash, such as `Tests` or `*.generated.swift`, matches at any depth.
+ *  - A leading slash anchors the pattern to the root.
+ *  - A pattern matching a directory also matches everything inside it.
+ * @param {string} pattern - Glob pattern.
+ * @returns {RegExp} - The regular expression.
+ */
+function globToRegExp(pattern) {
+    let glob = pattern.trim().replace(/\/+$/, '');
+    const anchored = glob.startsWith('/') || glob.includes('/');
+    glob = glob.replace(/^\/+/, '');
+
+    // Only braces closed in the pattern group alternatives, an unclosed one would make an invalid expression
+    const pairedBraces = new Set();
+    const openBraces = [];
+    for (let i = 0; i < glob.length; i++) {
+        if (glob[i] === '{') {
+            openBraces.push(i);
+        } else if (glob[i] === '}' && openBraces.length > 0) {
+            pairedBraces.add(openBraces.pop());
+            pairedBraces.add(i);
+        }
+    }
+
+    let source = '';
+    let alternatives = 0;
+    for (let i = 0; i < glob.length; i++) {
+        const char = glob[i];
+        if (char === '*' && glob[i + 1] === '*') {
+            // `**/` matches zero or more directories, a trailing or inner `**` anything
+            if (glob[i + 2] === '/') {
+                source += '(?:.*/)?';
+                i += 2;
+            } else {
+                source += '.*';
+                i += 1;
+            }
+        } else if (char === '*') {
+            source += '[^/]*';
+        } else if (char === '?') {
+            source += '[^/]';
+        } else if (char === '{' && pairedBraces.has(i)) {
+            source += '(?:';
+            alternatives++;
+        } else if (char === '}' && pairedBraces.has(i)) {
+            source += ')';
+            alternatives--;
+        } else if (char === ',' && alternatives > 0) {
+            source += '|';
+        } else {
+            source += char.replace(/[.+^$()|[\]{}\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${anchored ? '' : '(?:.*/)?'}${source}(?:/.*)?$`);
+}
+
+/**
+ * Checks whether a path matches a glob pattern.
+ * @param {string} relativePath - Path relative to the root the patterns apply to.
+ * @param {string} pattern - Glob pattern, see globToRegExp.
+ * @returns {boolean} - True if the path matches.
+ */
+function matchesGlob(relativePath, pattern) {
+    return globToRegExp(pattern).test(relativePath.split('\\').join('/'));
+}
+
+/**
+ * Checks whether a path matches any of several glob patterns.
+ * @param {string} relativePath - Path relative to the root the patterns apply to.
+ * @param {Array} patterns - Glob patterns.
+ * @returns {boolean} - True if the path matches at least one pattern.
+ */
+function matchesAny(relativePath, patterns) {
+    return (patterns || []).some(pattern => matchesGlob(relativePath, pattern));
+}
+
+module.exports = {
+    globToRegExp,
+    matchesGlob,
+    matchesAny
+};
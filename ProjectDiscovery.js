@@ -0,0 +1,444 @@
+// Required modules
+const fs = require("fs").promises;
+const path = require("path");
+
+/**
+ * Folders of Pods/ which are CocoaPods bookkeeping rather than pods.
+ */
+const PODS_SUPPORT_FOLDERS = ['Target Support Files', 'Local Podspecs', 'Headers', 'Pods.xcodeproj'];
+
+/**
+ * Product types of Xcode test targets.
+ */
+const TEST_PRODUCT_TYPES = [
+    'com.apple.product-type.bundle.unit-test',
+    'com.apple.product-type.bundle.ui-testing'
+];
+
+/**
+ * Platforms of the SDKs Xcode targets are built for: the build setting holding their deployment target
+ * and the target triple sourcekitten compiles them for.
+ */
+const SDK_PLATFORMS = {
+    iphoneos: { deploymentSetting: 'IPHONEOS_DEPLOYMENT_TARGET', triple: 'arm64-apple-ios' },
+    iphonesimulator: { deploymentSetting: 'IPHONEOS_DEPLOYMENT_TARGET', triple: 'arm64-apple-ios', environment: '-simulator' },
+    macosx: { deploymentSetting: 'MACOSX_DEPLOYMENT_TARGET', triple: 'arm64-apple-macosx' },
+    appletvos: { deploymentSetting: 'TVOS_DEPLOYMENT_TARGET', triple: 'arm64-apple-tvos' },
+    watchos: { deploymentSetting: 'WATCHOS_DEPLOYMENT_TARGET', triple: 'arm64_32-apple-watchos' },
+    xros: { deploymentSetting: 'XROS_DEPLOYMENT_TARGET', triple: 'arm64-apple-xros' }
+};
+
+/**
+ * Parses the old-style (OpenStep) property list format used by project.pbxproj.
+ * @param {string} text - Content of the property list.
+ * @returns {Object} - The parsed property list.
+ */
+function parsePbxproj(text) {
+    let index = 0;
+    const bareString = /[^\s;,=(){}"]+/y;
+
+    // Skip whitespace and comments
+    const skipWhitespace = () => {
+        while (index < text.length) {
+            if (/\s/.test(text[index])) {
+                index++;
+            } else if (text.startsWith('/*', index)) {
+                const end = text.indexOf('*/', index + 2);
+                index = end === -1 ? text.length : end + 2;
+            } else if (text.startsWith('//', index)) {
+                const end = text.indexOf('\n', index);
+                index = end === -1 ? text.length : end + 1;
+            } else {
+                break;
+            }
+        }
+    };
+
+    const expect = (char) => {
+        skipWhitespace();
+        if (text[index] !== char) {
+            throw new Error(`Expected "${char}" at offset ${index} of project.pbxproj`);
+        }
+        index++;
+    };
+
+    const parseString = () => {
+        skipWhitespace();
+        if (text[index] === '"') {
+            index++;
+            let value = '';
+            while (index < text.length && text[index] !== '"') {
+                if (text[index] === '\\') {
+                    index++;
+                    const escaped = text[index];
+                    value += escaped === 'n' ? '\n' : escaped === 't' ? '\t' : escaped;
+                } else {
+                    value += text[index];
+                }
+                index++;
+            }
+            index++;
+            return value;
+        }
+        bareString.lastIndex = index;
+        const match = bareString.exec(text);
+        if (!match) {
+            throw new Error(`Unexpected character "${text[index]}" at offset ${index} of project.pbxproj`);
+        }
+        index += match[0].length;
+        return match[0];
+    };
+
+    const parseValue = () => {
+        skipWhitespace();
+        if (text[index] === '{') {
+            index++;
+            const dictionary = {};
+            for (;;) {
+                skipWhitespace();
+                if (text[index] === '}') {
+                    index++;
+                    return dictionary;
+                }
+                const key = parseString();
+                expect('=');
+                dictionary[key] = parseValue();
+                expect(';');
+            }
+        }
+        if (text[index] === '(') {
+            index++;
+            const array = [];
+            for (;;) {
+                skipWhitespace();
+                if (text[index] === ')') {
+                    index++;
+                    return array;
+                }
+                array.push(parseValue());
+                skipWhitespace();
+                if (text[index] === ',') {
+                    index++;
+                }
+            }
+        }
+        return parseString();
+    };
+
+    return parseValue();
+}
+
+/**
+ * Recursively finds the Swift files of a directory.
+ * @param {string} directory - Directory to search.
+ * @returns {Promise<Array>} - Paths of the Swift files, sorted.
+ */
+async function findSwiftFiles(directory) {
+    let entries;
+    try {
+        entries = await fs.readdir(directory, { withFileTypes: true });
+    } catch (error) {
+        return [];
+    }
+    const files = [];
+    for (const entry of entries) {
+        const entryPath = path.join(directory, entry.name);
+        if (entry.isDirectory()) {
+            files.push(...await findSwiftFiles(entryPath));
+        } else if (entry.name.endsWith('.swift')) {
+            files.push(entryPath);
+        }
+    }
+    return files.sort();
+}
+
+/**
+ * Gets the deepest directory containing every given file.
+ * @param {Array} filePaths - Paths of the files.
+ * @returns {string} - The common directory.
+ */
+function commonDirectory(filePaths) {
+    const splitPaths = filePaths.map(filePath => path.dirname(filePath).split(path.sep));
+    const common = splitPaths[0].slice();
+    splitPaths.forEach(parts => {
+        let length = 0;
+        while (length < common.length && parts[length] === common[length]) {
+            length++;
+        }
+        common.length = length;
+    });
+    return common.join(path.sep) || path.sep;
+}
+
+/**
+ * Reads the build settings of a configuration of a configuration list, the first one when none has the name.
+ * Settings referencing other settings, such as `$(inherited)`, are left out.
+ * @param {Object} objects - Objects of the project.pbxproj.
+ * @param {string} listId - Id of the XCConfigurationList.
+ * @param {string} [configurationName] - Name of the build configuration, e.g. Debug or Release.
+ * @returns {Object} - Map of build setting to its value.
+ */
+function readBuildSettings(objects, listId, configurationName) {
+    const configurationIds = (objects[listId] || {}).buildConfigurations || [];
+    const configurationId = configurationIds.find(id => (objects[id] || {}).name === configurationName) || configurationIds[0];
+    const configuration = objects[configurationId] || {};
+    const settings = {};
+    Object.keys(configuration.buildSettings || {}).forEach(key => {
+        const value = configuration.buildSettings[key];
+        if (typeof value === 'string' && !value.includes('$')) {
+            settings[key] = value;
+        }
+    });
+    return settings;
+}
+
+/**
+ * Gets the SDK and target triple a target is built for, from its build settings.
+ * @param {Object} settings - Build settings of the target, over those of the project.
+ * @returns {Object} - { sdk, targetTriple }, null when the SDK is unknown or picked at build time (`auto`).
+ */
+function readPlatform(settings) {
+    const sdk = settings.SDKROOT;
+    const platform = SDK_PLATFORMS[sdk];
+    if (!platform) {
+        return { sdk: null, targetTriple: null };
+    }
+    const deploymentTarget = settings[platform.deploymentSetting];
+    return {
+        sdk: sdk,
+        targetTriple: deploymentTarget ? `${platform.triple}${deploymentTarget}${platform.environment || ''}` : null
+    };
+}
+
+/**
+ * Reads the targets of an Xcode project and the Swift sources they compile.
+ * @param {string} projectPath - Path of the .xcodeproj bundle.
+ * @param {string} [configurationName] - Build configuration the settings are read from, e.g. Debug or Release;
+ *        the first configuration of each target by default.
+ * @returns {Promise<Array>} - Modules in the projectModulesList format, with their `sources`.
+ */
+async function readXcodeProject(projectPath, configurationName) {
+    const content = await fs.readFile(path.join(projectPath, 'project.pbxproj'), 'utf8');
+    const { objects, rootObject } = parsePbxproj(content);
+    const projectDir = path.dirname(projectPath);
+
+    // Map every group child to its parent group to resolve "<group>" relative paths
+    const parents = {};
+    Object.keys(objects).forEach(id => {
+        (objects[id].children || []).forEach(child => {
+            parents[child] = id;
+        });
+    });
+
+    const resolvedPaths = {};
+    const resolvePath = (id) => {
+        if (id in resolvedPaths) {
+            return resolvedPaths[id];
+        }
+        const object = objects[id] || {};
+        const objectPath = object.path || '';
+        let resolved = null;
+        if (object.sourceTree === '<absolute>') {
+            resolved = objectPath;
+        } else if (object.sourceTree === 'SOURCE_ROOT') {
+            resolved = path.join(projectDir, objectPath);
+        } else if (object.sourceTree === '<group>') {
+            const parentPath = parents[id] ? resolvePath(parents[id]) : projectDir;
+            resolved = parentPath === null ? null : path.join(parentPath, objectPath);
+        }
+        // Other source trees (BUILT_PRODUCTS_DIR, SDKROOT, ...) are not part of the sources
+        resolvedPaths[id] = resolved;
+        return resolved;
+    };
+
+    const projectSettings = readBuildSettings(objects, objects[rootObject].buildConfigurationList, configurationName);
+
+    const modules = [];
+    for (const targetId of objects[rootObject].targets || []) {
+        const target = objects[targetId];
+        if (!target || target.isa !== 'PBXNativeTarget') {
+            continue;
+        }
+
+        // Source membership from the sources build phase
+        const sources = [];
+        (target.buildPhases || [])
+            .map(phaseId => objects[phaseId])
+            .filter(phase => phase && phase.isa === 'PBXSourcesBuildPhase')
+            .forEach(phase => {
+                (phase.files || []).forEach(buildFileId => {
+                    const buildFile = objects[buildFileId];
+                    const filePath = buildFile && buildFile.fileRef && resolvePath(buildFile.fileRef);
+                    if (filePath && filePath.endsWith('.swift')) {
+                        sources.push(filePath);
+                    }
+                });
+            });
+
+        // Folders synchronized with the file system (Xcode 16) compile everything they contain
+        for (const groupId of target.fileSystemSynchronizedGroups || []) {
+            const groupPath = resolvePath(groupId);
+            if (groupPath) {
+                sources.push(...await findSwiftFiles(groupPath));
+            }
+        }
+
+        if (sources.length === 0) {
+            continue;
+        }
+
+        // Target settings override those of the project
+        const settings = Object.assign({}, projectSettings, readBuildSettings(objects, target.buildConfigurationList, configurationName));
+        // Prefer an explicit PRODUCT_MODULE_NAME, otherwise Xcode derives it from the target name
+        const moduleName = settings.PRODUCT_MODULE_NAME || target.name.replace(/[^A-Za-z0-9_]/g, '_');
+        const { sdk, targetTriple } = readPlatform(settings);
+
+        modules.push({
+            name: moduleName,
+            path: commonDirectory(sources),
+            originalPath: sources[0],
+            isThirdParty: false,
+            isTest: TEST_PRODUCT_TYPES.includes(target.productType),
+            sdk: sdk,
+            targetTriple: targetTriple,
+            sources: sources
+        });
+    }
+    return modules;
+}
+
+/**
+ * Reads the projects referenced by an Xcode workspace.
+ * @param {string} workspacePath - Path of the .xcworkspace bundle.
+ * @returns {Promise<Array>} - Paths of the referenced .xcodeproj bundles.
+ */
+async function readWorkspaceProjects(workspacePath) {
+    const content = await fs.readFile(path.join(workspacePath, 'contents.xcworkspacedata'), 'utf8');
+    const workspaceDir = path.dirname(workspacePath);
+    const projects = [];
+    const locationPattern = /location\s*=\s*"([^"]+)"/g;
+    let match;
+    while ((match = locationPattern.exec(content)) !== null) {
+        const [kind, location] = match[1].split(/:(.*)/s);
+        if (!location || !location.endsWith('.xcodeproj')) {
+            continue;
+        }
+        projects.push(kind === 'absolute' ? location : path.join(workspaceDir, location));
+    }
+    return projects;
+}
+
+/**
+ * Reads third-party modules checked out in a dependency folder, one module per subfolder.
+ * @param {string} directory - Folder holding the checkouts.
+ * @param {Array} ignoredFolders - Subfolders which are not modules.
+ * @returns {Promise<Array>} - Modules in the projectModulesList format.
+ */
+async function readCheckoutModules(directory, ignoredFolders = []) {
+    let entries;
+    try {
+        entries = await fs.readdir(directory, { withFileTypes: true });
+    } catch (error) {
+        return [];
+    }
+    const modules = [];
+    for (const entry of entries) {
+        if (!entry.isDirectory() || ignoredFolders.includes(entry.name)) {
+            continue;
+        }
+        const modulePath = path.join(directory, entry.name);
+        const sources = await findSwiftFiles(modulePath);
+        // Modules without Swift sources cannot be queried by sourcekitten
+        if (sources.length === 0) {
+            continue;
+        }
+        modules.push({
+            name: entry.name,
+            path: modulePath,
+            originalPath: sources[0],
+            isThirdParty: true,
+            sources: sources
+        });
+    }
+    return modules;
+}
+
+/**
+ * Reads the pods installed by CocoaPods.
+ * @param {string} rootDir - Root directory of the project.
+ * @returns {Promise<Array>} - Third-party modules in the projectModulesList format.
+ */
+function readCocoaPods(rootDir) {
+    return readCheckoutModules(path.join(rootDir, 'Pods'), PODS_SUPPORT_FOLDERS);
+}
+
+/**
+ * Reads the dependencies checked out by Carthage.
+ * @param {string} rootDir - Root directory of the project.
+ * @returns {Promise<Array>} - Third-party modules in the projectModulesList format.
+ */
+function readCarthage(rootDir) {
+    return readCheckoutModules(path.join(rootDir, 'Carthage', 'Checkouts'));
+}
+
+/**
+ * Detects the kind of project in a directory.
+ * SwiftPM packages win over Xcode projects when both are present.
+ * @param {string} rootDir - Root directory of the project.
+ * @returns {Promise<Object>} - { type: 'spm' } or { type: 'xcode', projects: [paths of .xcodeproj] }.
+ */
+async function discoverProject(rootDir = process.cwd()) {
+    const entries = await fs.readdir(rootDir);
+    if (entries.includes('Package.swift')) {
+        return { type: 'spm' };
+    }
+
+    // A workspace lists the projects to read, otherwise read every top-level project
+    const workspace = entries.find(entry => entry.endsWith('.xcworkspace'));
+    const projects = workspace
+        ? await readWorkspaceProjects(path.join(rootDir, workspace))
+        : entries.filter(entry => entry.endsWith('.xcodeproj')).map(entry => path.join(rootDir, entry));
+    if (projects.length > 0) {
+        return { type: 'xcode', projects: projects };
+    }
+    return { type: 'spm' };
+}
+
+/**
+ * Reads the modules of an Xcode project: the targets of its projects plus
+ * CocoaPods and Carthage dependencies as third-party modules.
+ * @param {string} rootDir - Root directory of the project.
+ * @param {Array} projects - Paths of the .xcodeproj bundles.
+ * @param {string} [configurationName] - Build configuration the settings are read from, see readXcodeProject.
+ * @returns {Promise<Array>} - Modules in the projectModulesList format.
+ */
+async function readXcodeModules(rootDir, projects, configurationName) {
+    const modules = [];
+    for (const projectPath of projects) {
+        // The Pods project is read from the Pods folder instead
+        if (path.basename(projectPath) === 'Pods.xcodeproj') {
+            continue;
+        }
+        modules.push(...await readXcodeProject(projectPath, configurationName));
+    }
+    // Pods and Carthage checkouts are compiled for the platform of the app
+    const app = modules.find(module => !module.isTest && module.sdk);
+    const dependencies = (await readCocoaPods(rootDir)).concat(await readCarthage(rootDir));
+    dependencies.forEach(module => {
+        module.sdk = app ? app.sdk : null;
+        module.targetTriple = app ? app.targetTriple : null;
+    });
+    return modules.concat(dependencies);
+}
+
+module.exports = {
+    parsePbxproj,
+    findSwiftFiles,
+    commonDirectory,
+    readXcodeProject,
+    readWorkspaceProjects,
+    readCocoaPods,
+    readCarthage,
+    discoverProject,
+    readXcodeModules
+};
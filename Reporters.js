@@ -0,0 +1,302 @@
+// Required modules
+const path = require("path");
+
+/**
+ * Escapes a value for a CSV cell.
+ * @param {*} value - Value of the cell.
+ * @returns {string} - The escaped cell.
+ */
+function csvCell(value) {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Escapes text for HTML.
+ * @param {*} value - Text to escape.
+ * @returns {string} - The escaped text.
+ */
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Escapes text for a Markdown table cell.
+ * @param {*} value - Text to escape.
+ * @returns {string} - The escaped text.
+ */
+function escapeMarkdown(value) {
+    return String(value).replace(/\|/g, '\\|');
+}
+
+/**
+ * Lists every usage of the components, one entry per location.
+ * @param {Object} document - The codebase_components.json document.
+ * @returns {Array} - Usages as { component, filePath, line, column, offset, ... } with every field of the location.
+ */
+function listUsages(document) {
+    const usages = [];
+    document.components.forEach(component => {
+        Object.keys(component.filewiseLocation).forEach(filePath => {
+            component.filewiseLocation[filePath].forEach(location => {
+                usages.push(Object.assign({ component, filePath }, location));
+            });
+        });
+    });
+    return usages;
+}
+
+/**
+ * Groups the components by module.
+ * @param {Object} document - The codebase_components.json document.
+ * @returns {Object} - Map of module name to its components, with sorted module names.
+ */
+function groupByModule(document) {
+    const modules = {};
+    document.components.forEach(component => {
+        if (!modules[component.libraryName]) {
+            modules[component.libraryName] = [];
+        }
+        modules[component.libraryName].push(component);
+    });
+    const sorted = {};
+    Object.keys(modules).sort().forEach(moduleName => {
+        sorted[moduleName] = modules[moduleName];
+    });
+    return sorted;
+}
+
+/**
+ * JSON reporter, the codebase_components.json format.
+ */
+const jsonReporter = {
+    extension: 'json',
+    render(document) {
+        return JSON.stringify(document, null, 2);
+    }
+};
+
+/**
+ * CSV reporter, one row per usage.
+ */
+const csvReporter = {
+    extension: 'csv',
+    render(document) {
+        const header = ['id', 'name', 'module', 'kind', 'thirdParty', 'designSystems', 'file', 'line', 'column', 'offset', 'signature', 'callText', 'target', 'enclosingType', 'enclosingFunction'];
+        const rows = listUsages(document).map(usage => [
+            usage.component.id,
+            usage.component.name,
+            usage.component.libraryName,
+            usage.component.type,
+            usage.component.thirdParty,
+            usage.component.designSystems.join(';'),
+            usage.filePath,
+            usage.line,
+            usage.column,
+            usage.offset,
+            usage.signature,
+            usage.callText,
+            usage.context ? usage.context.target : null,
+            usage.context ? usage.context.type : null,
+            usage.context ? usage.context.function : null
+        ]);
+        return [header].concat(rows).map(row => row.map(csvCell).join(',')).join('\n') + '\n';
+    }
+};
+
+/**
+ * Markdown reporter, a summary and one table per module.
+ */
+const markdownReporter = {
+    extension: 'md',
+    render(document, options = {}) {
+        const rootDir = options.rootDir || process.cwd();
+        const lines = [
+            '# Codebase components',
+            '',
+            `${document.summary.components} components, ${document.summary.occurrences} usages in ${document.summary.files} files.`,
+            ''
+        ];
+        const modules = groupByModule(document);
+        Object.keys(modules).forEach(moduleName => {
+            const components = modules[moduleName];
+            const tags = [];
+            if (components[0].thirdParty) {
+                tags.push('third-party');
+            }
+            if (components[0].designSystems.length > 0) {
+                tags.push('design system');
+            }
+            lines.push(`## ${moduleName}${tags.length > 0 ? ` (${tags.join(', ')})` : ''}`, '');
+            lines.push('| Component | Kind | Usages | Files |', '| --- | --- | ---: | --- |');
+            components.forEach(component => {
+                const files = Object.keys(component.filewiseOccurences)
+                    .map(filePath => `${path.relative(rootDir, filePath)} (${component.filewiseOccurences[filePath]})`)
+                    .join('<br>');
+                lines.push(`| ${escapeMarkdown(component.name)} | ${component.type} | ${component.totalOccurences} | ${escapeMarkdown(files)} |`);
+            });
+            lines.push('');
+        });
+        return lines.join('\n');
+    }
+};
+
+/**
+ * HTML reporter, a standalone page to browse modules and components with links to file:line.
+ */
+const htmlReporter = {
+    extension: 'html',
+    render(document, options = {}) {
+        const rootDir = options.rootDir || process.cwd();
+        const modules = groupByModule(document);
+        const sections = Object.keys(modules).map(moduleName => {
+            const components = modules[moduleName].map(component => {
+                const locations = [];
+                Object.keys(component.filewiseLocation).forEach(filePath => {
+                    component.filewiseLocation[filePath].forEach(location => {
+                        const label = `${path.relative(rootDir, filePath)}:${location.line}:${location.column}`;
+                        const href = `file://${encodeURI(filePath)}#L${location.line}`;
+                        locations.push(`<li><a href="${escapeHtml(href)}">${escapeHtml(label)}</a></li>`);
+                    });
+                });
+                return [
+                    `<details class="component" data-search="${escapeHtml(`${moduleName} ${component.name}`.toLowerCase())}">`,
+                    `<summary><code>${escapeHtml(component.name)}</code> <span class="kind">${escapeHtml(component.type)}</span>`,
+                    ` <span class="count">${component.totalOccurences} usages</span></summary>`,
+                    `<ul>${locations.join('')}</ul>`,
+                    '</details>'
+                ].join('');
+            });
+            const total = modules[moduleName].reduce((sum, component) => sum + component.totalOccurences, 0);
+            return [
+                '<details class="module" open>',
+                `<summary><strong>${escapeHtml(moduleName)}</strong> <span class="count">${modules[moduleName].length} components, ${total} usages</span></summary>`,
+                components.join('\n'),
+                '</details>'
+            ].join('\n');
+        });
+
+        return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Codebase components</title>
+<style>
+body { font-family: -apple-system, sans-serif; margin: 2em; }
+details { margin: 0.3em 0 0.3em 1em; }
+.kind, .count { color: #666; font-size: 0.9em; }
+input { font-size: 1em; padding: 0.3em; width: 30em; }
+</style>
+</head>
+<body>
+<h1>Codebase components</h1>
+<p>${document.summary.components} components, ${document.summary.occurrences} usages in ${document.summary.files} files. Generated ${escapeHtml(document.generatedAt)}.</p>
+<input id="search" type="search" placeholder="Filter by module or component">
+${sections.join('\n')}
+<script>
+document.getElementById('search').addEventListener('input', function (event) {
+    var query = event.target.value.toLowerCase();
+    document.querySelectorAll('.component').forEach(function (component) {
+        component.style.display = component.dataset.search.indexOf(query) === -1 ? 'none' : '';
+    });
+});
+</script>
+</body>
+</html>
+`;
+    }
+};
+
+/**
+ * SARIF 2.1.0 reporter, one rule per component and one result per usage,
+ * so usages can be uploaded to code-scanning views.
+ */
+const sarifReporter = {
+    extension: 'sarif',
+    render(document, options = {}) {
+        const rootDir = options.rootDir || process.cwd();
+        const rules = document.components.map(component => ({
+            id: component.id,
+            name: component.name,
+            shortDescription: { text: `${component.name} from ${component.libraryName}` },
+            properties: {
+                module: component.libraryName,
+                kind: component.type,
+                thirdParty: component.thirdParty,
+                designSystems: component.designSystems
+            }
+        }));
+        const results = listUsages(document).map(usage => ({
+            ruleId: usage.component.id,
+            level: 'note',
+            message: { text: `${usage.component.name} from ${usage.component.libraryName} is used here.` },
+            locations: [{
+                physicalLocation: {
+                    artifactLocation: {
+                        uri: path.relative(rootDir, usage.filePath).split(path.sep).join('/'),
+                        uriBaseId: '%SRCROOT%'
+                    },
+                    region: Object.assign(
+                        { startLine: usage.line, startColumn: usage.column },
+                        usage.endLine ? { endLine: usage.endLine, endColumn: usage.endColumn } : {}
+                    )
+                }
+            }]
+        }));
+
+        return JSON.stringify({
+            $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+            version: '2.1.0',
+            runs: [{
+                tool: {
+                    driver: {
+                        name: 'swift-extracter',
+                        informationUri: 'https://github.com/mattdeweyx/swift-extracter',
+                        rules: rules
+                    }
+                },
+                originalUriBaseIds: {
+                    '%SRCROOT%': { uri: `file://${encodeURI(rootDir.split(path.sep).join('/'))}/` }
+                },
+                results: results
+            }]
+        }, null, 2);
+    }
+};
+
+/**
+ * Reporters by format name.
+ */
+const REPORTERS = {
+    json: jsonReporter,
+    csv: csvReporter,
+    md: markdownReporter,
+    html: htmlReporter,
+    sarif: sarifReporter
+};
+
+/**
+ * Gets the reporter of a format.
+ * @param {string} format - Format name: json, csv, md, html or sarif.
+ * @returns {Object} - The reporter, with an `extension` and a `render(document, options)` method.
+ * @throws {Error} - If the format is unknown.
+ */
+function getReporter(format) {
+    const reporter = REPORTERS[format];
+    if (!reporter) {
+        throw new Error(`Unknown report format "${format}", expected ${Object.keys(REPORTERS).join(', ')}`);
+    }
+    return reporter;
+}
+
+module.exports = {
+    REPORTERS,
+    getReporter,
+    listUsages,
+    groupByModule,
+    escapeHtml
+};
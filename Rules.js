@@ -0,0 +1,163 @@
+// Required modules
+const fs = require("fs");
+
+/**
+ * Severities of the rules, as compilers print them.
+ */
+const SEVERITIES = ['error', 'warning', 'note'];
+
+/**
+ * Checks and normalizes a rule.
+ * @param {Object} rule - Rule of the rules file.
+ * @param {string} where - Description of the rule for the error messages.
+ * @returns {Object} - The rule as { component, signature, severity, replacement, message, source }.
+ * @throws {Error} - If the rule is invalid.
+ */
+function normalizeRule(rule, where) {
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+        throw new Error(`${where}: expected an object`);
+    }
+    if (typeof rule.component !== 'string' || rule.component.split('/').length < 2) {
+        throw new Error(`${where}: "component" must be "Module/Name", "Module/*" or a full "Module/Name/kind" id`);
+    }
+    const severity = rule.severity || 'warning';
+    if (!SEVERITIES.includes(severity)) {
+        throw new Error(`${where}: "severity" must be one of ${SEVERITIES.join(', ')}`);
+    }
+    ['signature', 'replacement', 'message'].forEach(key => {
+        if (rule[key] !== undefined && typeof rule[key] !== 'string') {
+            throw new Error(`${where}: "${key}" must be a string`);
+        }
+    });
+    return {
+        component: rule.component,
+        signature: rule.signature || null,
+        severity: severity,
+        replacement: rule.replacement || null,
+        message: rule.message || null,
+        source: rule.source || 'rules'
+    };
+}
+
+/**
+ * Loads a rules file: a JSON list of rules, or an object with a `rules` list.
+ * A rule is { component, severity, replacement, message, signature }; only the component is required,
+ * the severity defaults to warning.
+ * @param {string} filePath - Path of the rules file.
+ * @returns {Array} - The rules.
+ * @throws {Error} - If the file cannot be read or a rule is invalid.
+ */
+function loadRules(filePath) {
+    let document;
+    try {
+        document = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Invalid rules file ${filePath}: ${error.message}`);
+    }
+    const rules = Array.isArray(document) ? document : document && document.rules;
+    if (!Array.isArray(rules)) {
+        throw new Error(`Invalid rules file ${filePath}: expected a list of rules`);
+    }
+    return rules.map((rule, index) => normalizeRule(rule, `${filePath}: rule ${index + 1}`));
+}
+
+/**
+ * Creates rules for the deprecated components of the dataset, from their `@available` attributes.
+ * Initializers and functions are matched by their signature, so only the deprecated overload is reported.
+ * @param {Object} dataset - Map of module name to its components, as in components_dataset.json.
+ * @param {Object} [options] - Rule options.
+ * @param {Object} [options.aliases] - Map of module name to the name its components are reported under.
+ * @param {string} [options.severity] - Severity of the rules, warning by default.
+ * @returns {Array} - The rules, their source being `deprecation`.
+ */
+function deprecationRules(dataset, options = {}) {
+    const aliases = options.aliases || {};
+    const rules = [];
+    Object.keys(dataset).sort().forEach(moduleName => {
+        (dataset[moduleName] || []).filter(entry => entry.deprecated).forEach(entry => {
+            const baseName = entry.name.split('(')[0];
+            rules.push({
+                component: `${aliases[moduleName] || moduleName}/${baseName}`,
+                signature: baseName !== entry.name ? entry.name : null,
+                severity: options.severity || 'warning',
+                replacement: entry.renamed || null,
+                message: `${entry.name} is deprecated${entry.deprecationMessage ? `: ${entry.deprecationMessage}` : ''}`,
+                source: 'deprecation'
+            });
+        });
+    });
+    return rules;
+}
+
+/**
+ * Checks whether a usage matches a rule.
+ * @param {Object} rule - The rule.
+ * @param {Object} component - Component entry of codebase_components.json.
+ * @param {Object} location - Location of the usage.
+ * @returns {boolean} - True if the rule applies to the usage.
+ */
+function matchesRule(rule, component, location) {
+    if (rule.signature && location.signature !== rule.signature) {
+        return false;
+    }
+    const parts = rule.component.split('/');
+    if (parts.length > 2) {
+        return rule.component === component.id;
+    }
+    return parts[0] === component.libraryName
+        && (parts[1] === '*' || parts[1] === component.name.split('(')[0].trim());
+}
+
+/**
+ * Applies the rules to the usages of a scan. A usage is reported once, by the first rule matching it,
+ * so the rules of the rules file take precedence over the deprecation rules given after them.
+ * @param {Object} document - The codebase_components.json document.
+ * @param {Array} rules - The rules.
+ * @returns {Array} - Findings as { filePath, line, column, severity, message, rule, id }, by file and position.
+ */
+function applyRules(document, rules) {
+    const findings = [];
+    document.components.forEach(component => {
+        Object.keys(component.filewiseLocation || {}).forEach(filePath => {
+            component.filewiseLocation[filePath].forEach(location => {
+                const rule = rules.find(candidate => matchesRule(candidate, component, location));
+                if (!rule) {
+                    return;
+                }
+                let message = rule.message || `${component.libraryName}/${component.name} is not allowed`;
+                if (rule.replacement) {
+                    message += `, use ${rule.replacement} instead`;
+                }
+                findings.push({
+                    filePath: filePath,
+                    line: location.line,
+                    column: location.column,
+                    severity: rule.severity,
+                    message: message,
+                    rule: rule.component,
+                    id: component.id
+                });
+            });
+        });
+    });
+    return findings.sort((a, b) => a.filePath.localeCompare(b.filePath) || a.line - b.line || a.column - b.column);
+}
+
+/**
+ * Formats findings as compiler diagnostics, `file:line:column: severity: message`, which editors and Xcode pick up.
+ * @param {Array} findings - Findings returned by applyRules.
+ * @returns {string} - One line per finding.
+ */
+function formatFindings(findings) {
+    return findings
+        .map(finding => `${finding.filePath}:${finding.line}:${finding.column}: ${finding.severity}: ${finding.message} [${finding.rule}]`)
+        .join('\n');
+}
+
+module.exports = {
+    SEVERITIES,
+    loadRules,
+    deprecationRules,
+    applyRules,
+    formatFindings
+};
@@ -0,0 +1,125 @@
+// Required modules
+const crypto = require("crypto");
+const fs = require("fs").promises;
+const { fileSink } = require('./Sinks');
+
+/**
+ * Version of the cache file format.
+ */
+const CACHE_VERSION = 3;
+
+/**
+ * ScanCache class persisting the components matched in each scanned file.
+ * An entry is reused only when both the content hash of the file and the
+ * dataset version it was matched against are unchanged.
+ */
+class ScanCache {
+    /**
+     * Constructor for ScanCache.
+     * @param {string} cachePath - Path of the cache file.
+     * @param {Object} [sink] - Output sink the cache is saved to, see Sinks.js; files on disk by default.
+     */
+    constructor(cachePath, sink = fileSink) {
+        this.cachePath = cachePath;
+        this.sink = sink;
+        this.files = {};
+        this.hits = 0;
+        this.misses = 0;
+    }
+
+    /**
+     * Hashes the content of a file.
+     * @param {string} content - Content of the file.
+     * @returns {string} - SHA-1 hash of the content.
+     */
+    static hash(content) {
+        return crypto.createHash('sha1').update(content).digest('hex');
+    }
+
+    /**
+     * Loads the cache file. A missing, outdated or unreadable cache starts empty.
+     * @returns {Promise<string|null>} - A warning when the cache file exists but cannot be read, null otherwise.
+     */
+    async load() {
+        try {
+            const cache = JSON.parse(await fs.readFile(this.cachePath, 'utf8'));
+            this.files = cache.version === CACHE_VERSION && cache.files ? cache.files : {};
+            return null;
+        } catch (error) {
+            this.files = {};
+            return error.code === 'ENOENT' ? null : `Ignoring unreadable cache ${this.cachePath}: ${error.message}`;
+        }
+    }
+
+    /**
+     * Gets the cached matches of a file.
+     * @param {string} filePath - Path of the file.
+     * @param {string} contentHash - Hash of the current content of the file.
+     * @param {string} datasetVersion - Version of the current dataset.
+     * @returns {Array|null} - The cached matches, or null if the entry is missing or stale.
+     */
+    get(filePath, contentHash, datasetVersion) {
+        const entry = this.files[filePath];
+        if (entry && entry.hash === contentHash && entry.datasetVersion === datasetVersion) {
+            this.hits++;
+            return entry.matches;
+        }
+        this.misses++;
+        return null;
+    }
+
+    /**
+     * Stores the matches of a file.
+     * @param {string} filePath - Path of the file.
+     * @param {string} contentHash - Hash of the content the matches were extracted from.
+     * @param {string} datasetVersion - Version of the dataset the matches were made against.
+     * @param {Array} matches - Matched components of the file.
+     */
+    set(filePath, contentHash, datasetVersion, matches) {
+        this.files[filePath] = {
+            hash: contentHash,
+            datasetVersion: datasetVersion,
+            matches: matches
+        };
+    }
+
+    /**
+     * Drops the entries of the files which are no longer scanned, deleted or no longer selected,
+     * so the cache does not keep growing.
+     * @param {Array|Set} filePaths - Paths of the files of the current scan.
+     * @returns {number} - Number of entries dropped.
+     */
+    prune(filePaths) {
+        const scanned = new Set(filePaths);
+        const stale = Object.keys(this.files).filter(filePath => !scanned.has(filePath));
+        stale.forEach(filePath => delete this.files[filePath]);
+        return stale.length;
+    }
+
+    /**
+     * Saves the cache file.
+     */
+    async save() {
+        const data = JSON.stringify({ version: CACHE_VERSION, files: this.files });
+        await this.sink.write(this.cachePath, data);
+    }
+
+    /**
+     * Deletes the cache file.
+     * @returns {Promise<boolean>} - True if a cache file was deleted.
+     */
+    async clear() {
+        this.files = {};
+        try {
+            await fs.unlink(this.cachePath);
+            return true;
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return false;
+            }
+            throw error;
+        }
+    }
+}
+
+module.exports = ScanCache;
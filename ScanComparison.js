@@ -0,0 +1,193 @@
+// Required modules
+const AdoptionReport = require('./AdoptionReport');
+
+/**
+ * Sums the usages of the components per module.
+ * @param {Array} components - Component entries of codebase_components.json.
+ * @returns {Object} - Map of module name to its usage count.
+ */
+function usagesPerModule(components) {
+    const modules = {};
+    components.forEach(component => {
+        modules[component.libraryName] = (modules[component.libraryName] || 0) + component.totalOccurences;
+    });
+    return modules;
+}
+
+/**
+ * Compares two scans.
+ * Components are matched on their `module/name/kind` id.
+ * @param {Object} baseline - The codebase_components.json document of the baseline scan.
+ * @param {Object} current - The codebase_components.json document of the current scan.
+ * @param {Object} options - Classification options, see AdoptionReport.computeAdoption.
+ * @returns {Object} - Added, removed and changed components, per-module changes,
+ *                     new non-design-system usages and the adoption before and after.
+ */
+function compareScans(baseline, current, options = {}) {
+    const baselineComponents = new Map(baseline.components.map(component => [component.id, component]));
+    const currentComponents = new Map(current.components.map(component => [component.id, component]));
+    const classifyOptions = {
+        designModules: options.designModules || [],
+        platformModules: options.platformModules || AdoptionReport.DEFAULT_PLATFORM_MODULES
+    };
+
+    const comparison = {
+        added: [],
+        removed: [],
+        changed: [],
+        modules: [],
+        newNonDesignUsages: [],
+        adoption: {
+            before: AdoptionReport.computeAdoption(baseline, options).total.adoption,
+            after: AdoptionReport.computeAdoption(current, options).total.adoption
+        }
+    };
+
+    const ids = new Set(Array.from(baselineComponents.keys()).concat(Array.from(currentComponents.keys())));
+    Array.from(ids).sort().forEach(id => {
+        const before = baselineComponents.get(id);
+        const after = currentComponents.get(id);
+        const beforeCount = before ? before.totalOccurences : 0;
+        const afterCount = after ? after.totalOccurences : 0;
+        const component = after || before;
+        const change = {
+            id: id,
+            name: component.name,
+            module: component.libraryName,
+            category: AdoptionReport.classifyComponent(component, classifyOptions),
+            before: beforeCount,
+            after: afterCount,
+            delta: afterCount - beforeCount
+        };
+
+        if (!before) {
+            comparison.added.push(change);
+        } else if (!after) {
+            comparison.removed.push(change);
+        } else if (change.delta !== 0) {
+            comparison.changed.push(change);
+        }
+
+        // More usages of platform or third-party components work against the design system
+        if (change.delta > 0 && (change.category === 'platform' || change.category === 'thirdParty')) {
+            comparison.newNonDesignUsages.push(change);
+        }
+    });
+
+    const baselineModules = usagesPerModule(baseline.components);
+    const currentModules = usagesPerModule(current.components);
+    const moduleNames = new Set(Object.keys(baselineModules).concat(Object.keys(currentModules)));
+    Array.from(moduleNames).sort().forEach(name => {
+        const before = baselineModules[name] || 0;
+        const after = currentModules[name] || 0;
+        if (before !== after) {
+            comparison.modules.push({ name, before, after, delta: after - before });
+        }
+    });
+    return comparison;
+}
+
+/**
+ * Checks whether a change matches a component pattern.
+ * Patterns are a full id (`UIKit/UIButton/expr.call`), `Module.Name` for any kind, or `Module.*`.
+ * @param {Object} change - Component change returned by compareScans.
+ * @param {string} pattern - Component pattern.
+ * @returns {boolean} - True if the component matches.
+ */
+function matchesComponent(change, pattern) {
+    if (pattern === change.id) {
+        return true;
+    }
+    const separator = pattern.indexOf('.');
+    if (separator === -1) {
+        return false;
+    }
+    const moduleName = pattern.substring(0, separator);
+    const name = pattern.substring(separator + 1);
+    return moduleName === change.module
+        && (name === '*' || name === change.name.split('(')[0].trim());
+}
+
+/**
+ * Checks a comparison against the configured thresholds.
+ * @param {Object} comparison - Comparison returned by compareScans.
+ * @param {Object} thresholds - Thresholds, every one optional.
+ * @param {Array} [thresholds.deny] - Component patterns which must not get new usages.
+ * @param {number} [thresholds.maxNewUsages] - Maximum number of new platform and third-party usages.
+ * @param {number} [thresholds.maxAdoptionDrop] - Maximum drop of the adoption, in percentage points.
+ * @param {number} [thresholds.minAdoption] - Minimum adoption after the change, in percent.
+ * @returns {Array} - Violated thresholds, empty when the comparison passes.
+ */
+function checkThresholds(comparison, thresholds = {}) {
+    const violations = [];
+
+    (thresholds.deny || []).forEach(pattern => {
+        comparison.added.concat(comparison.changed)
+            .filter(change => change.delta > 0 && matchesComponent(change, pattern))
+            .forEach(change => {
+                violations.push(`${change.id}: ${change.delta} new usages, denied by "${pattern}"`);
+            });
+    });
+
+    if (thresholds.maxNewUsages !== undefined) {
+        const newUsages = comparison.newNonDesignUsages.reduce((sum, change) => sum + change.delta, 0);
+        if (newUsages > thresholds.maxNewUsages) {
+            violations.push(`${newUsages} new platform and third-party usages, at most ${thresholds.maxNewUsages} allowed`);
+        }
+    }
+
+    const before = comparison.adoption.before;
+    const after = comparison.adoption.after;
+    if (thresholds.maxAdoptionDrop !== undefined && before !== null && after !== null) {
+        const drop = (before - after) * 100;
+        if (drop > thresholds.maxAdoptionDrop) {
+            violations.push(`adoption dropped by ${drop.toFixed(1)} points, at most ${thresholds.maxAdoptionDrop} allowed`);
+        }
+    }
+
+    if (thresholds.minAdoption !== undefined && after !== null && after * 100 < thresholds.minAdoption) {
+        violations.push(`adoption is ${(after * 100).toFixed(1)}%, at least ${thresholds.minAdoption}% required`);
+    }
+    return violations;
+}
+
+/**
+ * Formats a comparison as text.
+ * @param {Object} comparison - Comparison returned by compareScans.
+ * @returns {string} - The comparison.
+ */
+function formatComparison(comparison) {
+    const share = adoption => (adoption === null ? '-' : `${(adoption * 100).toFixed(1)}%`);
+    const signed = delta => (delta > 0 ? `+${delta}` : String(delta));
+    const lines = [`Design system adoption: ${share(comparison.adoption.before)} -> ${share(comparison.adoption.after)}`];
+
+    const section = (title, changes, format) => {
+        if (changes.length > 0) {
+            lines.push('', `${title}:`);
+            changes.forEach(change => lines.push(format(change)));
+        }
+    };
+    section('Added components', comparison.added, change => `+ ${change.id} (${change.after} usages)`);
+    section('Removed components', comparison.removed, change => `- ${change.id} (${change.before} usages)`);
+    section('Changed usage counts', comparison.changed, change => (
+        `~ ${change.id}: ${change.before} -> ${change.after} (${signed(change.delta)})`
+    ));
+    section('Usages per module', comparison.modules, module => (
+        `~ ${module.name}: ${module.before} -> ${module.after} (${signed(module.delta)})`
+    ));
+    section('New platform and third-party usages', comparison.newNonDesignUsages, change => (
+        `! ${change.id} (${change.category}): ${signed(change.delta)}`
+    ));
+
+    if (lines.length === 1) {
+        lines.push('', 'No component changes.');
+    }
+    return lines.join('\n');
+}
+
+module.exports = {
+    compareScans,
+    matchesComponent,
+    checkThresholds,
+    formatComparison
+};
@@ -0,0 +1,50 @@
+// Required modules
+const os = require("os");
+
+/**
+ * ScanScheduler class running scan tasks across a pool with bounded concurrency.
+ */
+class ScanScheduler {
+    /**
+     * Constructor for ScanScheduler.
+     * @param {number} concurrency - Maximum number of tasks running at once, defaults to the CPU count.
+     */
+    constructor(concurrency) {
+        const jobs = parseInt(concurrency, 10);
+        this.concurrency = jobs > 0 ? jobs : Math.max(os.cpus().length, 1);
+    }
+
+    /**
+     * Runs the worker on every item and waits for all of them to finish.
+     * @param {Array} items - Items to process.
+     * @param {Function} worker - Async function called with (item, index).
+     * @param {Function} [onProgress] - Called with (done, total, item) after each item finishes.
+     * @returns {Promise<Array>} - Worker results, in the order of the items.
+     */
+    async run(items, worker, onProgress) {
+        const results = new Array(items.length);
+        let nextIndex = 0;
+        let done = 0;
+
+        // Each runner keeps taking the next pending item until none is left
+        const runner = async () => {
+            while (nextIndex < items.length) {
+                const index = nextIndex++;
+                results[index] = await worker(items[index], index);
+                done++;
+                if (onProgress) {
+                    onProgress(done, items.length, items[index]);
+                }
+            }
+        };
+
+        const runners = [];
+        for (let i = 0; i < Math.min(this.concurrency, items.length); i++) {
+            runners.push(runner());
+        }
+        await Promise.all(runners);
+        return results;
+    }
+}
+
+module.exports = ScanScheduler;
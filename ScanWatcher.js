@@ -0,0 +1,224 @@
+// Required modules
+const fs = require("fs");
+const path = require("path");
+const EventEmitter = require("events");
+
+/**
+ * Default delay, in milliseconds, letting the changes of one save settle before scanning them.
+ */
+const DEFAULT_DEBOUNCE = 300;
+
+/**
+ * Checks whether a path is a directory.
+ * @param {string} filePath - Path to check.
+ * @returns {boolean} - True for an existing directory.
+ */
+function isDirectory(filePath) {
+    try {
+        return fs.statSync(filePath).isDirectory();
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * ScanWatcher class re-scanning the files of a scan as they change, keeping the scanner,
+ * its modules, dataset and per-file results in memory.
+ *
+ * Events:
+ * - `update` ({ changed, added, removed, usages }): after each batch of changes is scanned; `usages` maps every
+ *   changed, added and removed file to { before, after }, its number of usages before and after the batch.
+ * - `error` (error): a batch failed, the watcher keeps running.
+ */
+class ScanWatcher extends EventEmitter {
+    /**
+     * Constructor for ScanWatcher.
+     * @param {SwiftScanner} scanner - Scanner which already scanned the paths.
+     * @param {Array} filePaths - Paths of the scanned files or directories.
+     * @param {Array} excludedFolders - Glob patterns of the files and folders to skip.
+     * @param {Object} [options] - Watch options.
+     * @param {Array} [options.files] - Files selected by the scan, those with results by default.
+     * @param {string} [options.changedSince] - Only scan the files changed since this git ref.
+     * @param {boolean} [options.gitignore] - Skip the files ignored by .gitignore files, defaults to true.
+     * @param {number} [options.debounce] - Milliseconds to wait for more changes before scanning, 300 by default.
+     */
+    constructor(scanner, filePaths, excludedFolders = [], options = {}) {
+        super();
+        this.scanner = scanner;
+        this.filePaths = filePaths;
+        this.excludedFolders = excludedFolders;
+        this.selection = { changedSince: options.changedSince, gitignore: options.gitignore };
+        this.debounce = options.debounce >= 0 ? options.debounce : DEFAULT_DEBOUNCE;
+        this.files = new Set(options.files || scanner.codebaseComponents.files.keys());
+        this.watchers = [];
+        this.pending = new Set();
+        this.timer = null;
+        this.running = false;
+    }
+
+    /**
+     * Starts watching the scanned paths: directories recursively, files through their directory,
+     * since editors often save by replacing the file. Paths which cannot be watched are reported as errors,
+     * the others are still watched.
+     */
+    start() {
+        this.filePaths.forEach(filePath => {
+            let directory = filePath;
+            let recursive = true;
+            let only = null;
+            let watcher;
+            try {
+                if (!fs.statSync(filePath).isDirectory()) {
+                    directory = path.dirname(filePath);
+                    recursive = false;
+                    only = path.basename(filePath);
+                }
+                watcher = fs.watch(directory, { recursive: recursive }, (eventType, fileName) => {
+                    // Without a file name, any file of the directory may have changed
+                    if (!fileName) {
+                        this.schedule(directory);
+                    } else if (!only || fileName === only) {
+                        this.schedule(path.join(directory, fileName.toString()));
+                    }
+                });
+            } catch (error) {
+                // Recursive watching is only available on Linux from Node 19.1
+                const reason = error.code === 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM'
+                    ? `watching folders recursively needs Node 19.1 or later on ${process.platform}`
+                    : error.message;
+                this.fail(new Error(`Cannot watch ${filePath}: ${reason}`));
+                return;
+            }
+            watcher.on('error', error => this.fail(new Error(`Error watching ${filePath}: ${error.message}`)));
+            this.watchers.push(watcher);
+        });
+    }
+
+    /**
+     * Stops watching.
+     */
+    close() {
+        clearTimeout(this.timer);
+        this.watchers.forEach(watcher => watcher.close());
+        this.watchers = [];
+    }
+
+    /**
+     * Queues a changed path, and scans the queue once no change came for the debounce delay.
+     * @param {string} changedPath - Path of the changed file, or of a directory.
+     */
+    schedule(changedPath) {
+        this.pending.add(changedPath);
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => this.flush(), this.debounce);
+    }
+
+    /**
+     * Scans the queued changes, one batch at a time; changes made during a batch are scanned right after it.
+     * @returns {Promise<void>} - Resolves once the queue is empty.
+     */
+    async flush() {
+        if (this.running) {
+            return;
+        }
+        this.running = true;
+        while (this.pending.size > 0) {
+            await this.runBatch();
+        }
+        this.running = false;
+    }
+
+    /**
+     * Reports an error of a batch, printing it when nobody listens to the `error` event.
+     * @param {Error} error - The error.
+     */
+    fail(error) {
+        if (this.listenerCount('error') > 0) {
+            this.emit('error', error);
+        } else {
+            this.scanner.logger.error(`Error re-scanning: ${error.message}`);
+        }
+    }
+
+    /**
+     * Gets the files selected after a batch of changes. Directory and .gitignore changes select the files again,
+     * walking the paths and reading the changed files from git; file changes only add or drop those files.
+     * @param {Array} changedPaths - Paths of the changed files and directories.
+     * @returns {Promise<Set>} - Paths of the selected files.
+     */
+    async selectChangedFiles(changedPaths) {
+        const known = this.files;
+        const knownPaths = Array.from(known);
+        const reselect = changedPaths.some(changedPath => path.basename(changedPath) === '.gitignore'
+            || isDirectory(changedPath)
+            // A deleted or renamed directory no longer exists
+            || knownPaths.some(filePath => filePath.startsWith(changedPath + path.sep)));
+        if (reselect) {
+            return new Set(await this.scanner.selectFiles(this.filePaths, this.excludedFolders, this.selection));
+        }
+
+        const selected = new Set(known);
+        for (const changedPath of changedPaths) {
+            if (!fs.existsSync(changedPath)) {
+                selected.delete(changedPath);
+            } else if (!known.has(changedPath) && changedPath.endsWith('.swift')
+                && await this.scanner.isFileSelected(changedPath, this.filePaths, this.excludedFolders, this.selection)) {
+                selected.add(changedPath);
+            }
+        }
+        return selected;
+    }
+
+    /**
+     * Scans a batch of changes: files changed or added are scanned again, and the files deleted,
+     * or no longer selected, are dropped from the results.
+     * @returns {Promise<Object|null>} - The update, see the `update` event, null if no scanned file changed.
+     */
+    async runBatch() {
+        const changedPaths = Array.from(this.pending);
+        this.pending.clear();
+        const scanner = this.scanner;
+        const components = scanner.codebaseComponents;
+
+        try {
+            const known = this.files;
+            const selected = await this.selectChangedFiles(changedPaths);
+            const isChanged = filePath => changedPaths.some(changedPath => filePath === changedPath
+                || filePath.startsWith(changedPath + path.sep));
+
+            const update = {
+                changed: Array.from(selected).filter(filePath => known.has(filePath) && isChanged(filePath)).sort(),
+                added: Array.from(selected).filter(filePath => !known.has(filePath)).sort(),
+                removed: Array.from(known).filter(filePath => !selected.has(filePath)).sort(),
+                usages: {}
+            };
+            if (update.changed.length + update.added.length + update.removed.length === 0) {
+                return null;
+            }
+            this.files = selected;
+
+            update.changed.concat(update.added, update.removed).forEach(filePath => {
+                update.usages[filePath] = { before: components.countUsages(filePath), after: 0 };
+                components.removeFile(filePath);
+                scanner.diagnostics.removeFile(filePath);
+            });
+            for (const filePath of update.changed.concat(update.added)) {
+                await scanner.extractComponentsFromFile(filePath);
+                update.usages[filePath].after = components.countUsages(filePath);
+            }
+            if (scanner.scanCache) {
+                scanner.scanCache.prune(this.files);
+                await scanner.scanCache.save();
+            }
+            this.emit('update', update);
+            return update;
+        } catch (error) {
+            this.fail(error);
+            return null;
+        }
+    }
+}
+
+ScanWatcher.DEFAULT_DEBOUNCE = DEFAULT_DEBOUNCE;
+
+module.exports = ScanWatcher;
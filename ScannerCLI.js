@@ -4,83 +4,924 @@ const program = require('commander');
 const fs = require('fs');
 const path = require('path'); 
 const SwiftScanner = require('./SwiftScanner');
+const { createBackend } = require('./SourceKitBackend');
+const ScanCache = require('./ScanCache');
+const Dataset = require('./Dataset');
+const { REPORTERS, getReporter } = require('./Reporters');
+const AdoptionReport = require('./AdoptionReport');
+const UnusedReport = require('./UnusedReport');
+const UsageContext = require('./UsageContext');
+const Rules = require('./Rules');
+const { ResultsServer } = require('./Server');
+const ScanComparison = require('./ScanComparison');
+const SwiftUIHierarchy = require('./SwiftUIHierarchy');
+const Catalog = require('./Catalog');
+const Config = require('./Config');
+const { scan } = require('./index');
+const Diagnostics = require('./Diagnostics');
+const { CONFIGURATIONS, DEFAULT_TIMEOUT } = require('./BuildManager');
+
+/**
+ * Adds the configuration file option to a command.
+ * @param {Object} command - Commander command.
+ * @returns {Object} - The same command.
+ */
+function withConfigOption(command) {
+    return command
+        .option('-c, --config <path>', `Configuration file (defaults to the nearest ${Config.CONFIG_FILES.join(' or ')})`);
+}
+
+/**
+ * Loads the configuration file and merges it with the options of a command.
+ * Prints the error and fails the process when the configuration is invalid.
+ * @param {Object} cmd - Parsed command options.
+ * @returns {Object|null} - The settings, see Config.mergeOptions, or null if the configuration is invalid.
+ */
+function resolveOptions(cmd) {
+    try {
+        const config = Config.loadConfig(cmd.config);
+        if (config.path) {
+            console.log(`using configuration: ${config.path}`);
+        }
+        return Config.mergeOptions(config, cmd);
+    } catch (error) {
+        console.log(error.message);
+        process.exitCode = 1;
+        return null;
+    }
+}
+
+/**
+ * Adds the backend and module resolver options to a command.
+ * @param {Object} command - Commander command.
+ * @returns {Object} - The same command.
+ */
+function withBackendOptions(command) {
+    return command
+        .option('-b, --backend <backend>', 'SourceKitten backend driver: shell (default) or fixture')
+        .option('--fixtures <path>', 'Recorded fixture file replayed by the fixture backend')
+        .option('--record <path>', 'Record the shell backend results to a fixture file')
+        .option('-r, --resolver <resolver>', 'SPM module resolver: describe, debug-yaml or auto (default)');
+}
+
+/**
+ * Adds the build options to a command.
+ * @param {Object} command - Commander command.
+ * @returns {Object} - The same command.
+ */
+function withBuildOptions(command) {
+    const collect = (value, previous) => (previous || []).concat([value]);
+    return command
+        .option('--configuration <configuration>', 'Build configuration: debug (default) or release')
+        .option('--skip-build', 'Never build, read the manifest of an earlier build (.build/<configuration>.yaml)')
+        .option('--build-timeout <seconds>', `Stop the build after this many seconds (defaults to ${DEFAULT_TIMEOUT})`)
+        .option('--Xswiftc <flag>', 'Pass a flag to the compiler, repeatable', collect)
+        .option('--derived-data <path>', 'Xcode DerivedData folder, searched for the build products of the project');
+}
+
+/**
+ * Gets the build options of the settings of a command.
+ * @param {Object} settings - Settings returned by resolveOptions.
+ * @returns {Object} - The build options, see BuildManager.
+ */
+function getBuildOptions(settings) {
+    return {
+        configuration: settings.configuration,
+        skipBuild: settings.skipBuild,
+        timeout: settings.buildTimeout,
+        swiftcFlags: settings.swiftcFlags,
+        derivedData: settings.derivedData
+    };
+}
+
+/**
+ * Creates the backend selected by the settings of a command, running in the project root.
+ * @param {Object} settings - Settings returned by resolveOptions.
+ * @param {Object} cmd - Parsed command options.
+ * @returns {Object} - The backend, see SourceKitBackend.js.
+ */
+function createCommandBackend(settings, cmd) {
+    return createBackend({
+        backend: settings.backend,
+        fixtures: settings.fixtures,
+        record: cmd.record && path.resolve(cmd.record),
+        rootDir: settings.rootDir
+    });
+}
+
+/**
+ * Creates a scanner configured from the settings of a command.
+ * @param {Object} settings - Settings returned by resolveOptions.
+ * @param {Object} cmd - Parsed command options.
+ * @returns {SwiftScanner} - The scanner.
+ */
+function createScanner(settings, cmd) {
+    const backend = createCommandBackend(settings, cmd);
+    return new SwiftScanner(settings.design, backend, {
+        resolver: settings.resolver,
+        matching: settings.matching,
+        rootDir: settings.rootDir,
+        include: settings.include,
+        datasetPath: settings.dataset,
+        aliases: settings.aliases,
+        tags: settings.tags,
+        build: getBuildOptions(settings)
+    });
+}
+
+/**
+ * Adds the regression threshold options to a command.
+ * @param {Object} command - Commander command.
+ * @returns {Object} - The same command.
+ */
+function withThresholdOptions(command) {
+    return command
+        .option('--thresholds <path>', 'JSON file with the thresholds (deny, maxNewUsages, maxAdoptionDrop, minAdoption)')
+        .option('--deny <components>', 'Components which must not get new usages, e.g. UIKit.UIButton (comma-separated)')
+        .option('--max-new-usages <count>', 'Maximum number of new platform and third-party usages')
+        .option('--max-adoption-drop <points>', 'Maximum drop of the design system adoption, in percentage points')
+        .option('--min-adoption <percent>', 'Minimum design system adoption, in percent');
+}
+
+/**
+ * Reads a JSON file given to a command.
+ * @param {string} filePath - Path of the file.
+ * @returns {*} - The parsed content.
+ * @throws {Error} - If the file cannot be read or is not JSON.
+ */
+function readJsonFile(filePath) {
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Cannot read ${filePath}: ${error.message}`);
+    }
+}
+
+/**
+ * Reads a scan result given to a command, such as the baseline of a comparison.
+ * @param {string} filePath - Path of the codebase_components.json file.
+ * @returns {Object} - The codebase_components.json document.
+ * @throws {Error} - If the file cannot be read or is not a scan result.
+ */
+function readScanResult(filePath) {
+    const document = readJsonFile(filePath);
+    if (!document || !Array.isArray(document.components)) {
+        throw new Error(`Cannot read ${filePath}: not a codebase_components.json scan result`);
+    }
+    return document;
+}
+
+/**
+ * Numeric thresholds, with the flag setting each of them.
+ */
+const NUMERIC_THRESHOLDS = {
+    maxNewUsages: '--max-new-usages',
+    maxAdoptionDrop: '--max-adoption-drop',
+    minAdoption: '--min-adoption'
+};
+
+/**
+ * Reads the thresholds of a command, flags overriding the thresholds file, which overrides the configuration.
+ * @param {Object} cmd - Parsed command options.
+ * @param {Object} [configured] - Thresholds of the configuration file.
+ * @returns {Object} - The thresholds, see ScanComparison.checkThresholds.
+ * @throws {Error} - If the thresholds file cannot be read or a threshold is not a number.
+ */
+function readThresholds(cmd, configured = {}) {
+    const thresholds = cmd.thresholds ? readJsonFile(cmd.thresholds) : Object.assign({}, configured);
+    const source = cmd.thresholds || 'the configuration';
+    if (!thresholds || typeof thresholds !== 'object' || Array.isArray(thresholds)) {
+        throw new Error(`Invalid thresholds in ${source}: expected an object`);
+    }
+    if (cmd.deny) {
+        thresholds.deny = cmd.deny.split(',');
+    }
+    if (thresholds.deny !== undefined && !(Array.isArray(thresholds.deny) && thresholds.deny.every(pattern => typeof pattern === 'string'))) {
+        throw new Error(`Invalid "deny" threshold in ${source}: expected a list of components`);
+    }
+
+    // A threshold which is not a number would never be broken and silently pass the gate
+    Object.keys(NUMERIC_THRESHOLDS).forEach(key => {
+        const flag = NUMERIC_THRESHOLDS[key];
+        if (cmd[key] !== undefined) {
+            const value = String(cmd[key]).trim();
+            thresholds[key] = value === '' ? NaN : Number(value);
+            if (!Number.isFinite(thresholds[key])) {
+                throw new Error(`Invalid ${flag} "${cmd[key]}", expected a number`);
+            }
+        } else if (thresholds[key] !== undefined && !Number.isFinite(thresholds[key])) {
+            throw new Error(`Invalid "${key}" threshold in ${source}: expected a number`);
+        }
+    });
+    return thresholds;
+}
+
+/**
+ * Compares two scans, prints the changes and fails the process when a threshold is broken.
+ * @param {Object} baseline - The codebase_components.json document of the baseline scan.
+ * @param {Object} current - The codebase_components.json document of the current scan.
+ * @param {Object} thresholds - Thresholds returned by readThresholds.
+ * @param {Object} settings - Settings returned by resolveOptions.
+ * @param {string} format - Output format: text or json.
+ */
+function runComparison(baseline, current, thresholds, settings, format) {
+    const comparison = ScanComparison.compareScans(baseline, current, { designModules: settings.design });
+    const violations = ScanComparison.checkThresholds(comparison, thresholds);
+    if (format === 'json') {
+        console.log(JSON.stringify(Object.assign({ violations }, comparison), null, 2));
+    } else {
+        console.log(ScanComparison.formatComparison(comparison));
+        if (violations.length > 0) {
+            console.log('\nThresholds broken:');
+            violations.forEach(violation => console.log(` - ${violation}`));
+        }
+    }
+    if (violations.length > 0) {
+        process.exitCode = 1;
+    }
+}
+
+/**
+ * Initializes a scanner, printing the error and failing the process when the project modules cannot be resolved.
+ * @param {SwiftScanner} scanner - The scanner.
+ * @returns {Promise<boolean>} - True if the scanner is initialized.
+ */
+async function initializeScanner(scanner) {
+    try {
+        await scanner.initialize();
+        return true;
+    } catch (error) {
+        printFatalError(error);
+        return false;
+    }
+}
+
+/**
+ * Prints an error which stops a command, with its diagnostic code, and fails the process.
+ * @param {Error} error - The error.
+ */
+function printFatalError(error) {
+    console.log(error.code && error instanceof Diagnostics.ScanError ? `[${error.code}] ${error.message}` : error.message);
+    process.exitCode = 1;
+}
+
+/**
+ * Saves the recorded fixtures when the backend is recording.
+ * @param {Object} backend - The backend, which may be recording.
+ */
+async function saveRecording(backend) {
+    if (typeof backend.save === 'function') {
+        await backend.save();
+        console.log(`Fixtures recorded to: ${backend.fixturesPath}`);
+    }
+}
 
 // Set up the CLI program
 program
     .version('1.0.0')
     .description('CLI for Swift Code Scanner');
 
-    program
-    .command('scan <filePath...>')
+    withConfigOption(withThresholdOptions(withBuildOptions(withBackendOptions(program
+    .command('scan [filePath...]')))))
     .description('Scan Swift files and extract components')
     .option('-d, --design <design>', 'Specify design system modules (comma-separated)')
-    .option('-e, --exclude <exclude>', 'Exclude folders (comma-separated)')
+    .option('-e, --exclude <exclude>', 'Exclude folders or glob patterns (comma-separated)')
+    .option('-i, --include <include>', 'Only scan the files matching these glob patterns (comma-separated)')
+    .option('-j, --jobs <jobs>', 'Number of files scanned concurrently (defaults to the CPU count)')
+    .option('--no-cache', 'Re-parse every file instead of reusing the results of unchanged files')
+    .option('-f, --format <format>', `Report format: ${Object.keys(REPORTERS).join(', ')} (defaults to json)`)
+    .option('-o, --output <path>', 'Report path (defaults to codebase_components.<format>)')
+    .option('--dataset <path>', 'Components dataset path (defaults to components_dataset.json)')
+    .option('--baseline <path>', 'Compare the scan with a baseline codebase_components.json')
+    .option('--matching <mode>', 'Usage matching: type (resolved with SourceKit, default) or name')
+    .option('--changed-since <ref>', 'Only scan the files changed since a git ref, e.g. origin/main')
+    .option('--no-gitignore', 'Also scan the files ignored by .gitignore files')
+    .option('--dry-run', 'List the selected files without scanning them')
+    .option('--strict', 'Exit with 1 when any file, module or output failed')
+    .option('--watch', 'Keep running and re-scan the files as they change, saving the report after each change')
     .action(async (filePaths, cmd) => {
-        // Parse design system modules and excluded folders
-        const designSystemModules = cmd.design ? cmd.design.split(',') : [];
-        const excludedFolders = cmd.exclude ? cmd.exclude.split(',') : [];
-
-        // Initialize the SwiftScanner with design system modules
-        let scanner;
-        if (designSystemModules.length > 0) {
-            console.log(`using desing systems: ${designSystemModules}`);
-            scanner = new SwiftScanner(designSystemModules);
-        } else {
-            scanner = new SwiftScanner(); // Initialize without design system modules
+        const settings = resolveOptions(cmd);
+        if (!settings) {
+            return;
+        }
+        // Check the report format and matching mode before spending time on the scan
+        try {
+            getReporter(settings.format);
+        } catch (error) {
+            console.log(error.message);
+            process.exitCode = 1;
+            return;
+        }
+        if (!['type', 'name'].includes(settings.matching)) {
+            console.log(`Unknown matching mode "${settings.matching}", expected type or name`);
+            process.exitCode = 1;
+            return;
+        }
+        if (!CONFIGURATIONS[settings.configuration]) {
+            console.log(`Unknown build configuration "${settings.configuration}", expected ${Object.keys(CONFIGURATIONS).join(' or ')}`);
+            process.exitCode = 1;
+            return;
+        }
+        // Read the baseline and thresholds up front, so a bad file does not throw away the scan
+        let baseline = null;
+        let thresholds = null;
+        if (cmd.baseline) {
+            try {
+                baseline = readScanResult(cmd.baseline);
+                thresholds = readThresholds(cmd, settings.thresholds);
+            } catch (error) {
+                printFatalError(error);
+                return;
+            }
         }
 
-        // Initialize the scanner
-        console.log('Initializing scanner...');
-        await scanner.initialize();
-        if (!fs.existsSync(scanner.datasetFilePath)) {
-            await scanner.generateDataset();
-            await scanner.saveDataset();
-        } else {
-            console.log(`loading ${scanner.datasetFilePath}`);
-            await scanner.loadDataset();
+        // Scan the project root when no path is given
+        if (!filePaths || filePaths.length === 0) {
+            filePaths = [settings.rootDir];
+        }
+        if (settings.design.length > 0) {
+            console.log(`using desing systems: ${settings.design}`);
         }
-        // Resolve current working directory to get absolute file paths
         const cwd = process.cwd();
+        const backend = createCommandBackend(settings, cmd);
 
-        // Array to store paths where components are saved
-        const savedPaths = [];
-
+        let result;
+        try {
+            result = await scan({
+                paths: filePaths.map(filePath => path.resolve(cwd, filePath)),
+                designModules: settings.design,
+                exclude: settings.exclude,
+                include: settings.include,
+                rootDir: settings.rootDir,
+                jobs: settings.jobs,
+                cache: settings.cache,
+                changedSince: cmd.changedSince,
+                gitignore: settings.gitignore,
+                dryRun: cmd.dryRun,
+                backend: backend,
+                resolver: settings.resolver,
+                matching: settings.matching,
+                datasetPath: settings.dataset,
+                aliases: settings.aliases,
+                tags: settings.tags,
+                build: getBuildOptions(settings),
+                save: true,
+                format: settings.format,
+                output: settings.output,
+                logger: console,
+                watch: cmd.watch
+            });
+        } catch (error) {
+            printFatalError(error);
+            return;
+        }
 
-        // Scan each specified file recursively
-        console.log('Scanning files...');
-        for (const filePath of filePaths) {
-            const absoluteFilePath = path.resolve(cwd, filePath);
-            await scanner.scanFilesRecursively(absoluteFilePath, excludedFolders);
-            savedPaths.push(scanner.codebaseComponentsPath);
+        // List the files which would be scanned
+        if (cmd.dryRun) {
+            result.files.forEach(file => console.log(path.relative(cwd, file)));
+            console.log(`${result.files.length} files selected.`);
+            return;
         }
-        
-        scanner.saveCodebaseComponents();
+        await saveRecording(backend);
 
         // Print scan completion message with saved paths
         console.log('Scan complete.');
-        savedPaths.forEach(savedPath => {
-            console.log(`Components saved to: ${savedPath}`);
-        });
+        if (result.reportPath) {
+            console.log(`Components saved to: ${result.reportPath}`);
+        }
+        console.log(`\n${Diagnostics.formatSummary(result.diagnostics, { files: result.files, rootDir: cwd })}`);
+        if (settings.strict && result.diagnostics.hasErrors()) {
+            console.log('\nStrict mode: the scan had errors.');
+            process.exitCode = 1;
+        }
+
+        // Gate the scan against the baseline
+        if (baseline) {
+            console.log(`\nComparing with ${cmd.baseline}...`);
+            runComparison(baseline, result.document, thresholds, settings, 'text');
+        }
+
+        // Print what each change did to the usages and the adoption
+        if (result.watcher) {
+            const adoption = () => {
+                const share = AdoptionReport.computeAdoption(result.document, { designModules: settings.design }).total.adoption;
+                return share === null ? '-' : `${(share * 100).toFixed(1)}%`;
+            };
+            result.watcher.on('update', (update) => {
+                const time = new Date().toLocaleTimeString();
+                const status = filePath => (update.added.includes(filePath) ? 'added' : update.removed.includes(filePath) ? 'removed' : 'changed');
+                Object.keys(update.usages).sort().forEach(filePath => {
+                    const { before, after } = update.usages[filePath];
+                    const delta = after - before;
+                    console.log(`[${time}] ${path.relative(cwd, filePath)} ${status(filePath)}: ${after} usages (${delta >= 0 ? '+' : ''}${delta})`);
+                });
+                const errors = result.diagnostics.errors.length;
+                console.log(`[${time}] ${result.document.summary.occurrences} usages in ${result.files.length} files, design system adoption ${adoption()}${errors > 0 ? `, ${errors} errors` : ''}`);
+            });
+            console.log(`\nWatching ${result.files.length} files for changes (Ctrl-C to stop)...`);
+        }
+    });
+
+// Command to check the usages against the rules
+withConfigOption(withBuildOptions(withBackendOptions(program
+    .command('lint [filePath...]'))))
+    .description('Scan Swift files and report the usages broken by the rules and the deprecated components, exits with 1 on errors')
+    .option('-d, --design <design>', 'Specify design system modules (comma-separated)')
+    .option('-e, --exclude <exclude>', 'Exclude folders or glob patterns (comma-separated)')
+    .option('-i, --include <include>', 'Only scan the files matching these glob patterns (comma-separated)')
+    .option('-j, --jobs <jobs>', 'Number of files scanned concurrently (defaults to the CPU count)')
+    .option('--no-cache', 'Re-parse every file instead of reusing the results of unchanged files')
+    .option('--dataset <path>', 'Components dataset path (defaults to components_dataset.json)')
+    .option('--matching <mode>', 'Usage matching: type (resolved with SourceKit, default) or name')
+    .option('--changed-since <ref>', 'Only lint the files changed since a git ref, e.g. origin/main')
+    .option('--no-gitignore', 'Also lint the files ignored by .gitignore files')
+    .option('--rules <path>', 'Rules file mapping components to a severity and a replacement')
+    .option('--no-deprecations', 'Do not report the usages of deprecated components')
+    .option('-f, --format <format>', 'Output format: text or json', 'text')
+    .action(async (filePaths, cmd) => {
+        const settings = resolveOptions(cmd);
+        if (!settings) {
+            return;
+        }
+        if (!['text', 'json'].includes(cmd.format)) {
+            console.log(`Unknown format "${cmd.format}", expected text or json.`);
+            process.exitCode = 1;
+            return;
+        }
+        let rules = [];
+        try {
+            rules = settings.rules ? Rules.loadRules(settings.rules) : [];
+        } catch (error) {
+            console.log(error.message);
+            process.exitCode = 1;
+            return;
+        }
+        if (!filePaths || filePaths.length === 0) {
+            filePaths = [settings.rootDir];
+        }
+        const cwd = process.cwd();
+        const backend = createCommandBackend(settings, cmd);
+
+        // Only the findings go to stdout, so they can be piped to an editor or Xcode
+        let result;
+        try {
+            result = await scan({
+                paths: filePaths.map(filePath => path.resolve(cwd, filePath)),
+                designModules: settings.design,
+                exclude: settings.exclude,
+                include: settings.include,
+                rootDir: settings.rootDir,
+                jobs: settings.jobs,
+                cache: settings.cache,
+                changedSince: cmd.changedSince,
+                gitignore: settings.gitignore,
+                backend: backend,
+                resolver: settings.resolver,
+                matching: settings.matching,
+                datasetPath: settings.dataset,
+                aliases: settings.aliases,
+                tags: settings.tags,
+                build: getBuildOptions(settings),
+                logger: { log() {}, warn: console.error, error: console.error }
+            });
+        } catch (error) {
+            printFatalError(error);
+            return;
+        }
+        await saveRecording(backend);
+
+        if (cmd.deprecations) {
+            rules = rules.concat(Rules.deprecationRules(result.dataset, { aliases: settings.aliases }));
+        }
+        const findings = Rules.applyRules(result.document, rules);
+        if (cmd.format === 'json') {
+            console.log(JSON.stringify(findings, null, 2));
+        } else if (findings.length > 0) {
+            console.log(Rules.formatFindings(findings));
+        }
+        const count = severity => findings.filter(finding => finding.severity === severity).length;
+        console.error(`${result.files.length} files linted with ${rules.length} rules: ${count('error')} errors, ${count('warning')} warnings, ${count('note')} notes`);
+        if (count('error') > 0) {
+            process.exitCode = 1;
+        }
     });
 
 // Command to get available SPM modules
-program
-    .command('modules')
+withConfigOption(withBuildOptions(withBackendOptions(program
+    .command('modules'))))
     .description('Get available SPM modules')
-    .action(async () => {
-        const scanner = new SwiftScanner();
-        await scanner.initialize();
+    .action(async (cmd) => {
+        const settings = resolveOptions(cmd);
+        if (!settings) {
+            return;
+        }
+        const scanner = createScanner(settings, cmd);
+        if (!await initializeScanner(scanner)) {
+            return;
+        }
+        await saveRecording(scanner.backend);
         const availableModules = scanner.projectModulesList;
         if (availableModules.length > 0) {
             console.log("\nAvailable modules:\n");
             availableModules.forEach(module => {
-                console.log(` - name: ${module.name}\n - path: ${module.path}\n`);
+                console.log(` - name: ${module.name}\n - path: ${module.path}`);
+                if (module.products && module.products.length > 0) {
+                    console.log(` - products: ${module.products.join(', ')}`);
+                }
+                if (module.dependency) {
+                    console.log(` - dependency: ${module.dependency.url} ${module.dependency.version || ''}`);
+                }
+                console.log('');
             });
         } else {
             console.log("No modules available.");
         }
     });
 
+// Command to manage the components dataset
+withConfigOption(withBuildOptions(withBackendOptions(program
+    .command('dataset <action> [argument]'))))
+    .description('Manage the components dataset (actions: build, show [module], diff [dataset], clean)')
+    .option('-d, --design <design>', 'Design system modules, built from their catalog (comma-separated)')
+    .option('--dataset <path>', 'Components dataset path (defaults to components_dataset.json)')
+    .action(async (action, argument, cmd) => {
+        const settings = resolveOptions(cmd);
+        if (!settings) {
+            return;
+        }
+        const scanner = createScanner(settings, cmd);
+        switch (action) {
+            case 'build':
+                // Always rebuild, whatever the stamp says
+                if (!await initializeScanner(scanner)) {
+                    return;
+                }
+                await scanner.generateDataset();
+                await scanner.saveDataset();
+                await saveRecording(scanner.backend);
+                console.log(`Dataset saved to: ${scanner.datasetFilePath}`);
+                break;
+            case 'show':
+                await scanner.loadDataset();
+                showDataset(scanner, argument);
+                break;
+            case 'diff':
+                await diffDataset(scanner, argument);
+                break;
+            case 'clean':
+                if (fs.existsSync(scanner.datasetFilePath)) {
+                    fs.unlinkSync(scanner.datasetFilePath);
+                    console.log(`Dataset removed: ${scanner.datasetFilePath}`);
+                } else {
+                    console.log('No dataset to clean.');
+                }
+                break;
+            default:
+                console.log(`Unknown dataset action "${action}", expected build, show, diff or clean.`);
+                process.exitCode = 1;
+        }
+    });
+
+/**
+ * Prints the stamp and modules of the loaded dataset, or the components of one module.
+ * @param {SwiftScanner} scanner - Scanner with the dataset loaded.
+ * @param {string} [moduleName] - Module to list the components of.
+ */
+function showDataset(scanner, moduleName) {
+    const dataset = scanner.componentsDataset;
+    if (moduleName) {
+        if (!dataset[moduleName]) {
+            console.log(`Module ${moduleName} is not in the dataset.`);
+            process.exitCode = 1;
+            return;
+        }
+        console.log(`\n${moduleName} (${dataset[moduleName].length} components):\n`);
+        dataset[moduleName].forEach(component => {
+            console.log(` - ${component.name} [${component.kind.replace('source.lang.swift.', '')}]`);
+        });
+        return;
+    }
+
+    const stamp = scanner.datasetStamp;
+    console.log(`\nToolchain: ${stamp ? stamp.toolchain : 'unknown'}`);
+    if (stamp) {
+        Object.keys(stamp.packages).sort().forEach(identity => {
+            console.log(`Package: ${identity} ${stamp.packages[identity]}`);
+        });
+    }
+    console.log("\nModules:\n");
+    Object.keys(dataset).sort().forEach(name => {
+        console.log(` - ${name}: ${dataset[name].length} components`);
+    });
+}
+
+/**
+ * Prints the differences between the saved dataset and another dataset file,
+ * or the dataset a rebuild would produce when no file is given.
+ * @param {SwiftScanner} scanner - Scanner used to load and build the datasets.
+ * @param {string} [otherPath] - Dataset file to compare with.
+ */
+async function diffDataset(scanner, otherPath) {
+    await scanner.loadDataset();
+    const saved = { stamp: scanner.datasetStamp, modules: scanner.componentsDataset };
+    let other;
+    if (otherPath) {
+        try {
+            other = Dataset.deserializeDataset(readJsonFile(otherPath));
+        } catch (error) {
+            printFatalError(error);
+            return;
+        }
+    } else {
+        // Build a fresh dataset in memory, without saving it
+        if (!await initializeScanner(scanner)) {
+            return;
+        }
+        await scanner.generateDataset();
+        other = { stamp: scanner.datasetStamp, modules: scanner.componentsDataset };
+    }
+
+    const stampChanges = Dataset.stampChanges(saved.stamp, other.stamp || {});
+    const diff = Dataset.diffDatasets(saved.modules, other.modules);
+    if (stampChanges.length === 0 && diff.addedModules.length === 0 && diff.removedModules.length === 0
+        && Object.keys(diff.addedComponents).length === 0 && Object.keys(diff.removedComponents).length === 0) {
+        console.log('Datasets are identical.');
+        return;
+    }
+
+    stampChanges.forEach(change => console.log(`~ ${change}`));
+    diff.addedModules.forEach(name => console.log(`+ module ${name}`));
+    diff.removedModules.forEach(name => console.log(`- module ${name}`));
+    Object.keys(diff.addedComponents).forEach(name => {
+        diff.addedComponents[name].forEach(component => console.log(`+ ${name}: ${component}`));
+    });
+    Object.keys(diff.removedComponents).forEach(name => {
+        diff.removedComponents[name].forEach(component => console.log(`- ${name}: ${component}`));
+    });
+}
+
+// Command to extract SwiftUI view hierarchies
+withConfigOption(withBuildOptions(withBackendOptions(program
+    .command('views <filePath...>'))))
+    .description('Extract the view hierarchy, modifiers and arguments of each SwiftUI View')
+    .option('-d, --design <design>', 'Design system modules, to spot design tokens in arguments (comma-separated)')
+    .option('-e, --exclude <exclude>', 'Exclude folders or glob patterns (comma-separated)')
+    .option('-i, --include <include>', 'Only analyse the files matching these glob patterns (comma-separated)')
+    .option('-j, --jobs <jobs>', 'Number of files analysed concurrently (defaults to the CPU count)')
+    .option('-f, --format <format>', 'Output format: text or json', 'text')
+    .option('-o, --output <path>', 'Write the output to a file instead of printing it')
+    .option('--changed-since <ref>', 'Only analyse the files changed since a git ref, e.g. origin/main')
+    .option('--no-gitignore', 'Also analyse the files ignored by .gitignore files')
+    .action(async (filePaths, cmd) => {
+        const settings = resolveOptions(cmd);
+        if (!settings) {
+            return;
+        }
+        const scanner = createScanner(settings, cmd);
+        if (!await initializeScanner(scanner)) {
+            return;
+        }
+
+        const absoluteFilePaths = filePaths.map(filePath => path.resolve(process.cwd(), filePath));
+        let views;
+        try {
+            views = await scanner.extractViewHierarchies(absoluteFilePaths, settings.exclude, {
+                jobs: settings.jobs,
+                changedSince: cmd.changedSince,
+                gitignore: settings.gitignore
+            });
+        } catch (error) {
+            console.log(error.message);
+            process.exitCode = 1;
+            return;
+        }
+        await saveRecording(scanner.backend);
+
+        const output = cmd.format === 'json'
+            ? JSON.stringify(views, null, 2)
+            : SwiftUIHierarchy.formatViewHierarchies(views);
+        if (cmd.output) {
+            fs.writeFileSync(cmd.output, output);
+            console.log(`Views saved to: ${cmd.output}`);
+        } else {
+            console.log(output);
+        }
+    });
+
+// Command to inventory the public API of a module
+withConfigOption(withBuildOptions(withBackendOptions(program
+    .command('catalog <module>'))))
+    .description('List the public and open declarations of a module, with signatures, doc comments and availability')
+    .option('-f, --format <format>', 'Output format: text or json', 'text')
+    .option('-o, --output <path>', 'Write the catalog to a file instead of printing it')
+    .action(async (moduleName, cmd) => {
+        const settings = resolveOptions(cmd);
+        if (!settings) {
+            return;
+        }
+        if (!['text', 'json'].includes(cmd.format)) {
+            console.log(`Unknown format "${cmd.format}", expected text or json.`);
+            process.exitCode = 1;
+            return;
+        }
+        const scanner = createScanner(settings, cmd);
+        if (!await initializeScanner(scanner)) {
+            return;
+        }
+
+        let catalog;
+        try {
+            catalog = await scanner.generateCatalog(moduleName);
+        } catch (error) {
+            printFatalError(error);
+            return;
+        }
+        await saveRecording(scanner.backend);
+
+        const output = cmd.format === 'json'
+            ? JSON.stringify(catalog, null, 2)
+            : Catalog.formatCatalog(catalog);
+        if (cmd.output) {
+            fs.writeFileSync(cmd.output, output);
+            console.log(`Catalog saved to: ${cmd.output}`);
+        } else {
+            console.log(output);
+        }
+    });
+
+// Command to compare two scan results
+withConfigOption(withThresholdOptions(program
+    .command('compare <baseline> <current>')))
+    .description('Compare two codebase_components.json files, exits with 1 when a threshold is broken')
+    .option('-d, --design <design>', 'Design system modules, besides those tagged during the scan (comma-separated)')
+    .option('-f, --format <format>', 'Output format: text or json', 'text')
+    .action((baselinePath, currentPath, cmd) => {
+        const settings = resolveOptions(cmd);
+        if (!settings) {
+            return;
+        }
+        let baseline;
+        let current;
+        let thresholds;
+        try {
+            baseline = readScanResult(baselinePath);
+            current = readScanResult(currentPath);
+            thresholds = readThresholds(cmd, settings.thresholds);
+        } catch (error) {
+            printFatalError(error);
+            return;
+        }
+        runComparison(baseline, current, thresholds, settings, cmd.format);
+    });
+
+// Command to compute reports from a scan result
+withConfigOption(program
+    .command('report <type> [components]'))
+    .description('Compute a report from a scan result, codebase_components.json by default (types: adoption, unused)')
+    .option('-d, --design <design>', 'Design system modules, besides those tagged during the scan (comma-separated)')
+    .option('--platform <platform>', 'Platform UI modules (comma-separated)', AdoptionReport.DEFAULT_PLATFORM_MODULES.join(','))
+    .option('-t, --top <top>', 'Number of components to list', '10')
+    .option('--targets <targets>', `Only count the usages in these targets for the adoption report: ${UsageContext.TARGETS.join(', ')} (comma-separated)`)
+    .option('--dataset <path>', 'Components dataset path, listing the components of the design system modules')
+    .option('-f, --format <format>', 'Output format: text or json', 'text')
+    .action((type, componentsPath, cmd) => {
+        if (!['adoption', 'unused'].includes(type)) {
+            console.log(`Unknown report "${type}", expected adoption or unused.`);
+            process.exitCode = 1;
+            return;
+        }
+        const settings = resolveOptions(cmd);
+        if (!settings) {
+            return;
+        }
+        const targets = cmd.targets ? cmd.targets.split(',') : null;
+        const unknownTarget = (targets || []).find(target => !UsageContext.TARGETS.includes(target));
+        if (unknownTarget) {
+            console.log(`Unknown target "${unknownTarget}", expected ${UsageContext.TARGETS.join(', ')}.`);
+            process.exitCode = 1;
+            return;
+        }
+        const top = Number(cmd.top);
+        if (!Number.isInteger(top) || top <= 0) {
+            console.log(`Invalid --top "${cmd.top}", expected a positive integer.`);
+            process.exitCode = 1;
+            return;
+        }
+        let document;
+        try {
+            document = readScanResult(componentsPath || path.join(settings.rootDir, 'codebase_components.json'));
+        } catch (error) {
+            printFatalError(error);
+            return;
+        }
+        let report;
+        if (type === 'adoption') {
+            report = AdoptionReport.computeAdoption(document, {
+                designModules: settings.design,
+                platformModules: cmd.platform.split(','),
+                top: top,
+                targets: targets
+            });
+            console.log(cmd.format === 'json' ? JSON.stringify(report, null, 2) : AdoptionReport.formatAdoption(report));
+            return;
+        }
+
+        // Unused components are those of the dataset never matched by a usage
+        if (settings.design.length === 0) {
+            console.log('The unused report needs the design system modules, pass them with -d.');
+            process.exitCode = 1;
+            return;
+        }
+        const datasetPath = settings.dataset || path.join(settings.rootDir, 'components_dataset.json');
+        if (!fs.existsSync(datasetPath)) {
+            console.log(`No components dataset at ${datasetPath}, run a scan first or pass --dataset.`);
+            process.exitCode = 1;
+            return;
+        }
+        let dataset;
+        try {
+            dataset = Dataset.deserializeDataset(readJsonFile(datasetPath));
+        } catch (error) {
+            console.log(error.message);
+            process.exitCode = 1;
+            return;
+        }
+        report = UnusedReport.computeUnused(document, dataset.modules, {
+            designModules: settings.design,
+            aliases: settings.aliases,
+            rootDir: settings.rootDir
+        });
+        console.log(cmd.format === 'json' ? JSON.stringify(report, null, 2) : UnusedReport.formatUnused(report));
+    });
+
+// Command to browse a scan result over a local REST API
+withConfigOption(program
+    .command('serve [components]'))
+    .description('Serve a scan result, codebase_components.json by default, over a local REST API and web UI')
+    .option('--dataset <path>', 'Components dataset path (defaults to components_dataset.json)')
+    .option('-p, --port <port>', 'Port to listen on', '8080')
+    .option('--host <host>', 'Address to listen on, 0.0.0.0 to share on the network', '127.0.0.1')
+    .action((componentsPath, cmd) => {
+        const settings = resolveOptions(cmd);
+        if (!settings) {
+            return;
+        }
+        const resultsPath = componentsPath || path.join(settings.rootDir, 'codebase_components.json');
+        let document;
+        try {
+            document = JSON.parse(fs.readFileSync(resultsPath, 'utf8'));
+        } catch (error) {
+            console.log(`Cannot read ${resultsPath}: ${error.message}`);
+            process.exitCode = 1;
+            return;
+        }
+        // The dataset only adds the declared components of each module
+        const datasetPath = settings.dataset || path.join(settings.rootDir, 'components_dataset.json');
+        let dataset = {};
+        if (fs.existsSync(datasetPath)) {
+            try {
+                dataset = Dataset.deserializeDataset(readJsonFile(datasetPath)).modules;
+            } catch (error) {
+                console.log(error.message);
+                process.exitCode = 1;
+                return;
+            }
+        } else {
+            console.log(`No components dataset at ${datasetPath}, serving the scan result only.`);
+        }
+
+        const server = new ResultsServer(document, dataset, { rootDir: settings.rootDir, host: cmd.host }).createServer();
+        server.on('error', (error) => {
+            console.log(`Cannot serve on ${cmd.host}:${cmd.port}: ${error.message}`);
+            process.exitCode = 1;
+        });
+        server.listen(parseInt(cmd.port, 10), cmd.host, () => {
+            console.log(`Serving ${resultsPath} on http://${cmd.host}:${server.address().port}/ (Ctrl-C to stop)`);
+            console.log('  GET /modules, /components?module=&kind=&q=, /components/<id>/usages, /files/<path>?line=&context=');
+        });
+    });
+
+// Command to manage the scan cache
+withConfigOption(program
+    .command('cache <action>'))
+    .description('Manage the incremental scan cache (actions: clear)')
+    .option('--dataset <path>', 'Components dataset path, the cache is saved next to it')
+    .action(async (action, cmd) => {
+        if (action !== 'clear') {
+            console.log(`Unknown cache action "${action}", expected "clear".`);
+            process.exitCode = 1;
+            return;
+        }
+        const settings = resolveOptions(cmd);
+        if (!settings) {
+            return;
+        }
+        const scanner = new SwiftScanner([], undefined, { datasetPath: settings.dataset, rootDir: settings.rootDir });
+        const cache = new ScanCache(scanner.scanCachePath);
+        const deleted = await cache.clear();
+        console.log(deleted ? `Cache cleared: ${scanner.scanCachePath}` : 'No cache to clear.');
+    });
+
 
 // Enhance help documentation for better usability
 program.on('--help', () => {
@@ -88,7 +929,24 @@ program.on('--help', () => {
     console.log('Examples:');
     console.log('  $ scan-swift scan -d UIKit -e Tests Sources/MessageInputBar/MessageInputBar.swift');
     console.log('  $ scan-swift modules');
+    console.log('  $ scan-swift scan --config ci/.swiftscanner.json');
+    console.log('  $ scan-swift scan --changed-since origin/main --dry-run Sources/');
+    console.log('  $ scan-swift scan -d DesignSystem --format html --output report.html Sources/');
+    console.log('  $ scan-swift report adoption -d DesignSystem');
+    console.log('  $ scan-swift report adoption -d DesignSystem --targets app');
+    console.log('  $ scan-swift report unused -d DesignSystem');
+    console.log('  $ scan-swift lint --rules rules.json Sources/');
+    console.log('  $ scan-swift serve --port 8080');
+    console.log('  $ scan-swift views -d DesignSystem Sources/App');
+    console.log('  $ scan-swift catalog DesignSystem --format json --output catalog.json');
+    console.log('  $ scan-swift compare --deny UIKit.UIButton --max-adoption-drop 0 baseline.json codebase_components.json');
+    console.log('  $ scan-swift cache clear');
+    console.log('  $ scan-swift dataset show DesignSystem');
+    console.log('  $ scan-swift scan --record fixtures.json Sources/');
+    console.log('  $ scan-swift scan --configuration release -Xswiftc -DSCANNER Sources/');
+    console.log('  $ scan-swift scan --skip-build Sources/');
+    console.log('  $ scan-swift scan --backend fixture --fixtures fixtures.json Sources/');
 });
 
-// Parse command line arguments
-program.parse(process.argv);
+// Parse command line arguments, accepting -Xswiftc as swift build spells it
+program.parse(process.argv.map(arg => (arg === '-Xswiftc' ? '--Xswiftc' : arg)));
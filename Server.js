@@ -0,0 +1,379 @@
+// Required modules
+const http = require("http");
+const net = require("net");
+const os = require("os");
+const fs = require("fs").promises;
+const path = require("path");
+const { URL } = require("url");
+const { escapeHtml } = require('./Reporters');
+
+/**
+ * Number of source lines shown before and after a usage by default.
+ */
+const DEFAULT_CONTEXT_LINES = 5;
+
+/**
+ * Addresses listening on every network interface.
+ */
+const WILDCARD_ADDRESSES = ['0.0.0.0', '::'];
+
+/**
+ * Checks whether an IP address is a loopback address.
+ * @param {string} address - IPv4 or IPv6 address.
+ * @returns {boolean} - True for 127.0.0.0/8 and ::1, also when mapped to IPv6.
+ */
+function isLoopback(address) {
+    return /^(?:::ffff:)?127\./.test(address) || address === '::1';
+}
+
+/**
+ * ResultsServer class serving a scan result over a local REST API, with a web UI to browse it.
+ * Only the files of the scan are served, with paths relative to the project root.
+ */
+class ResultsServer {
+    /**
+     * Constructor for ResultsServer.
+     * @param {Object} document - The codebase_components.json document.
+     * @param {Object} [dataset] - Map of module name to its components, as in components_dataset.json.
+     * @param {Object} [options] - Server options.
+     * @param {string} [options.rootDir] - Project root the file paths are relative to, the current directory by default.
+     * @param {string} [options.host] - Host name the server is reached by, besides its IP addresses and localhost.
+     */
+    constructor(document, dataset = {}, options = {}) {
+        this.document = document;
+        this.dataset = dataset || {};
+        this.rootDir = path.resolve(options.rootDir || process.cwd());
+        this.host = (options.host || '').toLowerCase();
+        this.routes = [
+            { pattern: /^\/$/, handler: () => ({ type: 'html', body: this.renderIndex() }) },
+            { pattern: /^\/modules$/, handler: () => this.getModules() },
+            { pattern: /^\/components$/, handler: (match, query) => this.getComponents(query) },
+            { pattern: /^\/components\/(.+)\/usages$/, handler: (match) => this.getUsages(match[1]) },
+            { pattern: /^\/files\/(.+)$/, handler: (match, query) => this.getFile(match[1], query) }
+        ];
+    }
+
+    /**
+     * Gets the path of a scanned file relative to the project root, as the API shows it.
+     * @param {string} filePath - Path of the file in the scan result.
+     * @returns {string} - The relative path, with forward slashes.
+     */
+    relativePath(filePath) {
+        return path.relative(this.rootDir, filePath).split(path.sep).join('/');
+    }
+
+    /**
+     * Summarizes a component for the component lists.
+     * @param {Object} component - Component entry of codebase_components.json.
+     * @returns {Object} - { id, name, module, kind, usages, files, designSystems, thirdParty }.
+     */
+    summarizeComponent(component) {
+        return {
+            id: component.id,
+            name: component.name,
+            module: component.libraryName,
+            kind: component.type,
+            usages: component.totalOccurences,
+            files: Object.keys(component.filewiseOccurences || {}).length,
+            designSystems: component.designSystems,
+            thirdParty: component.thirdParty
+        };
+    }
+
+    /**
+     * Lists the modules of the scan and of the dataset.
+     * @returns {Object} - Response body: modules as { name, components, usages, declared, designSystem, thirdParty }.
+     */
+    getModules() {
+        const modules = {};
+        const moduleOf = name => {
+            if (!modules[name]) {
+                modules[name] = { name: name, components: 0, usages: 0, declared: 0, designSystem: false, thirdParty: false };
+            }
+            return modules[name];
+        };
+        Object.keys(this.dataset).forEach(name => {
+            moduleOf(name).declared = this.dataset[name].length;
+        });
+        this.document.components.forEach(component => {
+            const module = moduleOf(component.libraryName);
+            module.components++;
+            module.usages += component.totalOccurences;
+            module.designSystem = module.designSystem || component.designSystems.length > 0;
+            module.thirdParty = module.thirdParty || component.thirdParty;
+        });
+        return { body: Object.keys(modules).sort().map(name => modules[name]) };
+    }
+
+    /**
+     * Lists the components, optionally filtered.
+     * @param {URLSearchParams} query - Filters: `module`, `kind` (e.g. `expr.call` or `call`) and `q`, a search on the id.
+     * @returns {Object} - Response body: component summaries, most used first.
+     */
+    getComponents(query) {
+        const moduleName = query.get('module');
+        const kind = query.get('kind');
+        const search = (query.get('q') || '').toLowerCase();
+        const components = this.document.components
+            .filter(component => !moduleName || component.libraryName === moduleName)
+            .filter(component => !kind || component.type === kind || component.type.endsWith(`.${kind}`))
+            .filter(component => !search || component.id.toLowerCase().includes(search))
+            .map(component => this.summarizeComponent(component))
+            .sort((a, b) => b.usages - a.usages || a.id.localeCompare(b.id));
+        return { body: components };
+    }
+
+    /**
+     * Lists the usages of a component.
+     * @param {string} encodedId - URL-encoded component id, e.g. `DS%2FDSButton%2Fexpr.call` or `DS/DSButton/expr.call`.
+     * @returns {Object} - Response body: the component and its usages, with their file path relative to the root.
+     */
+    getUsages(encodedId) {
+        const id = decodeURIComponent(encodedId);
+        const component = this.document.components.find(candidate => candidate.id === id);
+        if (!component) {
+            return { status: 404, body: { error: `Unknown component "${id}"` } };
+        }
+        const usages = [];
+        Object.keys(component.filewiseLocation || {}).sort().forEach(filePath => {
+            component.filewiseLocation[filePath].forEach(location => {
+                usages.push(Object.assign({ path: this.relativePath(filePath) }, location));
+            });
+        });
+        return { body: Object.assign(this.summarizeComponent(component), { signatures: component.signatures, locations: usages }) };
+    }
+
+    /**
+     * Gets a scanned file: its module, the usages it contains and, with `line`, the source around that line.
+     * @param {string} encodedPath - URL-encoded path relative to the project root.
+     * @param {URLSearchParams} query - `line` to preview, and `context`, the number of lines around it.
+     * @returns {Promise<Object>} - Response body as { path, module, usages, preview }, preview being
+     *          { start, highlight, lines } or null without `line`.
+     */
+    async getFile(encodedPath, query) {
+        const relativePath = decodeURIComponent(encodedPath);
+        const filePath = path.resolve(this.rootDir, relativePath);
+        const files = this.document.files || {};
+        // Only the scanned files are served
+        if (!files[filePath]) {
+            return { status: 404, body: { error: `"${relativePath}" is not a scanned file` } };
+        }
+
+        const usages = [];
+        this.document.components.forEach(component => {
+            ((component.filewiseLocation || {})[filePath] || []).forEach(location => {
+                usages.push(Object.assign({ id: component.id, name: component.name, module: component.libraryName }, location));
+            });
+        });
+        usages.sort((a, b) => a.line - b.line || a.column - b.column);
+
+        const result = { path: this.relativePath(filePath), module: files[filePath].module, usages: usages, preview: null };
+        const line = parseInt(query.get('line'), 10);
+        if (line > 0) {
+            let content;
+            try {
+                content = await fs.readFile(filePath, 'utf8');
+            } catch (error) {
+                return { status: 404, body: { error: `Source of "${relativePath}" is not available: ${error.message}` } };
+            }
+            const context = query.has('context') ? Math.max(0, parseInt(query.get('context'), 10) || 0) : DEFAULT_CONTEXT_LINES;
+            const lines = content.split('\n');
+            const start = Math.max(1, line - context);
+            result.preview = { start: start, highlight: line, lines: lines.slice(start - 1, Math.min(lines.length, line + context)) };
+        }
+        return { body: result };
+    }
+
+    /**
+     * Routes a request.
+     * @param {string} method - HTTP method.
+     * @param {string} url - Request URL.
+     * @returns {Promise<Object>} - The response as { status, type, body }, JSON unless `type` is html.
+     */
+    async handle(method, url) {
+        if (method !== 'GET') {
+            return { status: 405, body: { error: `Method ${method} not allowed` } };
+        }
+        const { pathname, searchParams } = new URL(url, 'http://localhost');
+        for (const route of this.routes) {
+            const match = pathname.match(route.pattern);
+            if (match) {
+                return route.handler(match, searchParams);
+            }
+        }
+        return { status: 404, body: { error: `Unknown endpoint ${pathname}` } };
+    }
+
+    /**
+     * Checks the Host header of a request against the address the server listens on. A page of another domain
+     * resolved to this address (DNS rebinding) names that domain, and must not read the results.
+     * @param {string} [hostHeader] - Host header of the request.
+     * @param {Object} address - Address the server listens on, as returned by server.address().
+     * @returns {boolean} - True if the request names the port of the server and, as its host, the configured host,
+     *          the listening address, localhost on loopback, or any IP address or the machine name on every interface.
+     */
+    isAllowedHost(hostHeader, address) {
+        if (!hostHeader || /[\/\\@?#\s]/.test(hostHeader)) {
+            return false;
+        }
+        let url;
+        try {
+            url = new URL(`http://${hostHeader}`);
+        } catch (error) {
+            return false;
+        }
+        if (Number(url.port || 80) !== address.port) {
+            return false;
+        }
+        const hostname = url.hostname.replace(/^\[|\]$/g, '');
+        const wildcard = WILDCARD_ADDRESSES.includes(address.address);
+        // IP addresses cannot be rebound to another server, only domain names can
+        if (net.isIP(hostname)) {
+            return wildcard || hostname === address.address || (isLoopback(hostname) && isLoopback(address.address));
+        }
+        return hostname === this.host
+            || (hostname === 'localhost' && (wildcard || isLoopback(address.address)))
+            || (wildcard && hostname === os.hostname().toLowerCase());
+    }
+
+    /**
+     * Creates the HTTP server. Requests naming another host than the server are refused, see isAllowedHost.
+     * @returns {http.Server} - The server, not listening yet.
+     */
+    createServer() {
+        const server = http.createServer(async (request, response) => {
+            let result;
+            try {
+                result = this.isAllowedHost(request.headers.host, server.address())
+                    ? await this.handle(request.method, request.url)
+                    : { status: 403, body: { error: `Host ${request.headers.host || '(none)'} not allowed` } };
+            } catch (error) {
+                result = { status: 500, body: { error: error.message } };
+            }
+            const html = result.type === 'html';
+            response.writeHead(result.status || 200, {
+                'Content-Type': html ? 'text/html; charset=utf-8' : 'application/json; charset=utf-8'
+            });
+            response.end(html ? result.body : JSON.stringify(result.body, null, 2));
+        });
+        return server;
+    }
+
+    /**
+     * Renders the web UI, which browses the results through the API.
+     * @returns {string} - The HTML page.
+     */
+    renderIndex() {
+        const summary = this.document.summary || {};
+        return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Codebase components</title>
+<style>
+body { font-family: -apple-system, sans-serif; margin: 2em; }
+input, select { font-size: 1em; padding: 0.3em; }
+input { width: 25em; }
+table { border-collapse: collapse; margin-top: 1em; }
+td, th { padding: 0.2em 0.8em; text-align: left; }
+tr.component { cursor: pointer; }
+tr.component:hover, li.usage:hover { background: #eef; }
+li.usage { cursor: pointer; font-family: monospace; }
+.kind, .count { color: #666; font-size: 0.9em; }
+pre { background: #f6f6f6; padding: 0.5em; overflow-x: auto; }
+pre .highlight { background: #ffe08a; display: block; }
+#panes { display: flex; gap: 2em; }
+#panes > div { flex: 1; min-width: 0; }
+</style>
+</head>
+<body>
+<h1>Codebase components</h1>
+<p>${escapeHtml(summary.components)} components, ${escapeHtml(summary.occurrences)} usages in ${escapeHtml(summary.files)} files. Generated ${escapeHtml(this.document.generatedAt)}.</p>
+<input id="search" type="search" placeholder="Search components">
+<select id="module"><option value="">All modules</option></select>
+<select id="kind"><option value="">All kinds</option></select>
+<div id="panes">
+<div><table><thead><tr><th>Component</th><th>Kind</th><th>Usages</th><th>Files</th></tr></thead><tbody id="components"></tbody></table></div>
+<div><h2 id="title"></h2><ul id="usages"></ul><pre id="preview"></pre></div>
+</div>
+<script>
+function escape(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+function get(url) {
+    return fetch(url).then(function (response) { return response.json(); });
+}
+function loadComponents() {
+    var query = new URLSearchParams({
+        q: document.getElementById('search').value,
+        module: document.getElementById('module').value,
+        kind: document.getElementById('kind').value
+    });
+    get('/components?' + query).then(function (components) {
+        document.getElementById('components').innerHTML = components.map(function (component) {
+            return '<tr class="component" data-id="' + escape(component.id) + '"><td>' + escape(component.module + '.' + component.name)
+                + '</td><td class="kind">' + escape(component.kind) + '</td><td class="count">' + component.usages
+                + '</td><td class="count">' + component.files + '</td></tr>';
+        }).join('');
+    });
+}
+function showUsages(id) {
+    get('/components/' + encodeURIComponent(id) + '/usages').then(function (component) {
+        document.getElementById('title').textContent = component.module + '.' + component.name;
+        document.getElementById('preview').innerHTML = '';
+        document.getElementById('usages').innerHTML = component.locations.map(function (usage) {
+            return '<li class="usage" data-path="' + escape(usage.path) + '" data-line="' + usage.line + '">'
+                + escape(usage.path + ':' + usage.line + ':' + usage.column + '  ' + (usage.callText || usage.signature || '')) + '</li>';
+        }).join('');
+    });
+}
+function showPreview(filePath, line) {
+    get('/files/' + encodeURIComponent(filePath) + '?line=' + line).then(function (file) {
+        var preview = document.getElementById('preview');
+        if (!file.preview) {
+            preview.textContent = file.error || 'No source available';
+            return;
+        }
+        preview.innerHTML = file.preview.lines.map(function (text, index) {
+            var number = file.preview.start + index;
+            var content = escape(String(number).padStart(5) + '  ' + text);
+            return number === file.preview.highlight ? '<span class="highlight">' + content + '</span>' : content + '\\n';
+        }).join('');
+    });
+}
+get('/modules').then(function (modules) {
+    document.getElementById('module').innerHTML += modules.filter(function (module) { return module.components > 0; }).map(function (module) {
+        return '<option>' + escape(module.name) + '</option>';
+    }).join('');
+});
+get('/components').then(function (components) {
+    var kinds = components.map(function (component) { return component.kind; })
+        .filter(function (kind, index, all) { return all.indexOf(kind) === index; }).sort();
+    document.getElementById('kind').innerHTML += kinds.map(function (kind) { return '<option>' + escape(kind) + '</option>'; }).join('');
+});
+document.getElementById('search').addEventListener('input', loadComponents);
+document.getElementById('module').addEventListener('change', loadComponents);
+document.getElementById('kind').addEventListener('change', loadComponents);
+document.getElementById('components').addEventListener('click', function (event) {
+    var row = event.target.closest('tr.component');
+    if (row) {
+        showUsages(row.dataset.id);
+    }
+});
+document.getElementById('usages').addEventListener('click', function (event) {
+    var item = event.target.closest('li.usage');
+    if (item) {
+        showPreview(item.dataset.path, item.dataset.line);
+    }
+});
+loadComponents();
+</script>
+</body>
+</html>
+`;
+    }
+}
+
+module.exports = {
+    ResultsServer
+};
@@ -0,0 +1,56 @@
+// Required modules
+const fs = require("fs").promises;
+const path = require("path");
+
+/**
+ * Output sink writing files to disk, creating missing directories.
+ * Sinks receive every file the scanner saves: the dataset, the scan cache and the reports.
+ */
+const fileSink = {
+    async write(filePath, content) {
+        await fs.mkdir(path.dirname(path.resolve(filePath)), { recursive: true });
+        await fs.writeFile(filePath, content);
+    }
+};
+
+/**
+ * MemorySink class keeping the saved files in memory, for callers which handle the output themselves.
+ */
+class MemorySink {
+    constructor() {
+        this.files = new Map();
+    }
+
+    /**
+     * Keeps the content of a file.
+     * @param {string} filePath - Path the file would be saved to.
+     * @param {string} content - Content of the file.
+     */
+    async write(filePath, content) {
+        this.files.set(filePath, content);
+    }
+
+    /**
+     * Gets the content of a saved file.
+     * @param {string} filePath - Path the file was saved to.
+     * @returns {string|undefined} - Content of the file.
+     */
+    read(filePath) {
+        return this.files.get(filePath);
+    }
+}
+
+/**
+ * Logger discarding every message, the default of the programmatic API.
+ */
+const silentLogger = {
+    log() {},
+    warn() {},
+    error() {}
+};
+
+module.exports = {
+    fileSink,
+    MemorySink,
+    silentLogger
+};
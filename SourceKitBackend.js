@@ -0,0 +1,453 @@
+// Required modules
+const { execSync, execFile } = require('child_process');
+const fs = require("fs").promises;
+const path = require("path");
+const { ScanError, ToolchainMissingError, ParseError, DIAGNOSTIC_CODES } = require('./Diagnostics');
+const { BuildManager } = require('./BuildManager');
+
+/**
+ * Version of the recorded fixture file format.
+ */
+const FIXTURE_VERSION = 1;
+
+/**
+ * ShellBackend class, the default driver which shells out to sourcekitten and swift.
+ *
+ * Every backend exposes the same operations:
+ *  - structure(filePath): structure of a Swift file (`sourcekitten structure`).
+ *  - complete(filePath, offset, moduleName, compilerArguments): completion suggestions (`sourcekitten complete`).
+ *  - indexSource(filePath, compilerArguments): declarations and references of a file, with their USRs (`sourcekitten request`).
+ *  - doc(moduleName, compilerArguments): documented declarations of a module (`sourcekitten doc`).
+ *  - build(options): builds the package, or reuses an earlier build, and resolves to the content of its
+ *    build manifest (`.build/debug.yaml`), see BuildManager.js.
+ *  - describe(packagePath): package description (`swift package describe`), of the current package by default.
+ *  - toolchainVersion(): version of the Swift toolchain (`swift --version`).
+ *  - sdkPath(sdk): path of an Apple SDK, such as iphoneos (`xcrun --show-sdk-path`).
+ */
+class ShellBackend {
+    /**
+     * Constructor for ShellBackend.
+     * @param {string} [rootDir] - Project root the commands run in, the current directory by default.
+     */
+    constructor(rootDir = process.cwd()) {
+        this.rootDir = path.resolve(rootDir);
+    }
+
+    /**
+     * Execute command method to execute shell commands.
+     * @param {string} command - Command to execute.
+     * @returns {string} - Output of the executed command.
+     * @throws {ScanError} - ToolchainMissingError if the program is not installed, a command-failed error otherwise.
+     */
+    executeCommand(command) {
+        try {
+            const output = execSync(
+                command, {
+                    cwd: this.rootDir,
+                    encoding: 'utf-8',
+                    maxBuffer: 1024 * 1024 * 1024,
+                    stdio: ['pipe', 'pipe', 'pipe']
+                });
+            return output;
+        } catch (error) {
+            throw commandError(command.split(' ')[0], command, error);
+        }
+    }
+
+    /**
+     * Runs a program asynchronously, so several calls can run side by side.
+     * @param {string} file - Program to run.
+     * @param {Array} args - Arguments of the program.
+     * @returns {Promise<string>} - Standard output of the program.
+     */
+    executeFile(file, args) {
+        return new Promise((resolve, reject) => {
+            execFile(file, args, { cwd: this.rootDir, encoding: 'utf-8', maxBuffer: 1024 * 1024 * 1024 }, (error, stdout, stderr) => {
+                if (error) {
+                    reject(commandError(file, `${file} ${args[0]}`, Object.assign(error, { stderr })));
+                    return;
+                }
+                resolve(stdout);
+            });
+        });
+    }
+
+    /**
+     * Retrieves the structure of a Swift file.
+     * @param {string} filePath - Path of the Swift file.
+     * @returns {Promise<Object>} - Parsed sourcekitten structure.
+     */
+    async structure(filePath) {
+        const stdout = await this.executeFile('sourcekitten', ['structure', '--file', filePath]);
+        return parseOutput(stdout, 'sourcekitten structure');
+    }
+
+    /**
+     * Retrieves completion suggestions at the given offset of a module file.
+     * @param {string} filePath - Path of the Swift file.
+     * @param {number} offset - Offset to complete at.
+     * @param {string} moduleName - Name of the module the file belongs to.
+     * @param {Array} [compilerArguments] - Compiler arguments for modules which are not SPM modules.
+     * @returns {Promise<Array>} - Parsed completion suggestions.
+     */
+    async complete(filePath, offset, moduleName, compilerArguments) {
+        let args = ['complete', '--file', filePath, '--offset', String(offset), '--spm-module', moduleName, '--', ''];
+        if (compilerArguments) {
+            // Xcode, CocoaPods and Carthage modules are compiled from their source list
+            args = ['complete', '--file', filePath, '--offset', String(offset), '--'].concat(compilerArguments);
+        }
+        return parseOutput(await this.executeFile('sourcekitten', args), 'sourcekitten complete');
+    }
+
+    /**
+     * Builds the package, or reuses an earlier build, and reads its build manifest.
+     * @param {Object} [options] - Build options, see BuildManager.
+     * @returns {Promise<string>} - Content of `.build/<configuration>.yaml`.
+     */
+    build(options = {}) {
+        return new BuildManager(Object.assign({ rootDir: this.rootDir }, options)).build();
+    }
+
+    /**
+     * Indexes a file: every declaration and reference it contains, with the USR of the declaration.
+     * The file is type-checked once, however many symbols it references.
+     * @param {string} filePath - Path of the Swift file.
+     * @param {Array} compilerArguments - Compiler arguments to resolve the file with.
+     * @returns {Promise<Object>} - Parsed index, nested `key.entities` with `key.usr`, `key.line` and `key.column`.
+     */
+    async indexSource(filePath, compilerArguments) {
+        const request = [
+            'key.request: source.request.indexsource',
+            `key.sourcefile: ${JSON.stringify(filePath)}`,
+            `key.compilerargs: ${JSON.stringify(compilerArguments)}`
+        ].join('\n');
+        return parseOutput(await this.executeFile('sourcekitten', ['request', '--yaml', request]), 'sourcekitten request');
+    }
+
+    /**
+     * Documents the declarations of a module.
+     * @param {string} moduleName - Name of the module.
+     * @param {Array} [compilerArguments] - Compiler arguments for modules which are not SPM modules.
+     * @returns {Promise<Array>} - Parsed `sourcekitten doc` output, a list of { filePath: structure } objects.
+     */
+    async doc(moduleName, compilerArguments) {
+        if (!compilerArguments) {
+            const stdout = await this.executeFile('sourcekitten', ['doc', '--spm', '--module-name', moduleName]);
+            return parseOutput(stdout, 'sourcekitten doc');
+        }
+        // Other modules are documented file by file, each with the sources of the whole module
+        const docs = [];
+        for (const source of compilerArguments.filter(argument => argument.endsWith('.swift'))) {
+            const stdout = await this.executeFile('sourcekitten', ['doc', '--single-file', source, '--'].concat(compilerArguments));
+            docs.push(...[].concat(parseOutput(stdout, 'sourcekitten doc')));
+        }
+        return docs;
+    }
+
+    /**
+     * Describes a package.
+     * @param {string} [packagePath] - Path of the package, the project root by default.
+     * @returns {Promise<Object>} - Parsed `swift package describe` output.
+     */
+    async describe(packagePath) {
+        const args = ['package', 'describe', '--type', 'json'];
+        if (packagePath) {
+            args.push('--package-path', packagePath);
+        }
+        return parseOutput(await this.executeFile('swift', args), 'swift package describe');
+    }
+
+    /**
+     * Gets the version of the Swift toolchain.
+     * @returns {Promise<string>} - First line of `swift --version`.
+     */
+    async toolchainVersion() {
+        const stdout = await this.executeFile('swift', ['--version']);
+        return stdout.split('\n')[0].trim();
+    }
+
+    /**
+     * Gets the path of an Apple SDK.
+     * @param {string} sdk - Name of the SDK, as the SDKROOT build setting: iphoneos, macosx, ...
+     * @returns {Promise<string>} - Path of the SDK.
+     */
+    async sdkPath(sdk) {
+        const stdout = await this.executeFile('xcrun', ['--sdk', sdk, '--show-sdk-path']);
+        return stdout.trim();
+    }
+}
+
+/**
+ * FixtureBackend class, replays recorded JSON fixtures instead of running the Swift toolchain.
+ * Paths inside the fixtures are relocated from the recording root to the current root,
+ * so a fixture recorded on one machine replays the same results on another.
+ */
+class FixtureBackend {
+    /**
+     * Constructor for FixtureBackend.
+     * @param {string} fixturesPath - Path of the recorded fixture file.
+     * @param {string} rootDir - Project root the fixtures are replayed against.
+     */
+    constructor(fixturesPath, rootDir = process.cwd()) {
+        this.fixturesPath = fixturesPath;
+        this.rootDir = rootDir;
+        this.fixtures = null;
+    }
+
+    /**
+     * Loads the fixture file on first use.
+     * @returns {Promise<Object>} - The recorded fixtures.
+     */
+    async load() {
+        if (!this.fixtures) {
+            const content = await fs.readFile(this.fixturesPath, 'utf8');
+            const fixtures = JSON.parse(content);
+            if (fixtures.version !== FIXTURE_VERSION) {
+                throw new Error(`Unsupported fixture version ${fixtures.version} in ${this.fixturesPath}`);
+            }
+            this.fixtures = fixtures;
+        }
+        return this.fixtures;
+    }
+
+    /**
+     * Looks up a recorded result and relocates it to the current root.
+     * @param {string} operation - Name of the backend operation.
+     * @param {string} [key] - Key of the recorded call, if the operation has several.
+     * @returns {Promise<*>} - The recorded result.
+     */
+    async replay(operation, key) {
+        const fixtures = await this.load();
+        const recorded = key === undefined ? fixtures[operation] : (fixtures[operation] || {})[key];
+        if (recorded === undefined) {
+            const call = key === undefined ? operation : `${operation} ${key}`;
+            throw new Error(`No recorded fixture for ${call}`);
+        }
+        return relocate(recorded, fixtures.root, this.rootDir);
+    }
+
+    async structure(filePath) {
+        return this.replay('structure', fixtureKey(this.rootDir, filePath));
+    }
+
+    async complete(filePath, offset, moduleName, compilerArguments) {
+        return this.replay('complete', moduleName);
+    }
+
+    async indexSource(filePath, compilerArguments) {
+        return this.replay('indexSource', fixtureKey(this.rootDir, filePath));
+    }
+
+    async doc(moduleName, compilerArguments) {
+        return this.replay('doc', moduleName);
+    }
+
+    async build(options) {
+        return this.replay('build');
+    }
+
+    async describe(packagePath) {
+        if (packagePath) {
+            return this.replay('describePackages', fixtureKey(this.rootDir, packagePath));
+        }
+        return this.replay('describe');
+    }
+
+    async toolchainVersion() {
+        return this.replay('toolchain');
+    }
+
+    async sdkPath(sdk) {
+        return this.replay('sdkPath', sdk);
+    }
+}
+
+/**
+ * RecordingBackend class, forwards every call to another backend and records the results
+ * so they can be replayed later by a FixtureBackend.
+ */
+class RecordingBackend {
+    /**
+     * Constructor for RecordingBackend.
+     * @param {Object} backend - Backend whose results are recorded.
+     * @param {string} fixturesPath - Path the fixture file is saved to.
+     * @param {string} rootDir - Project root the recorded paths are relative to.
+     */
+    constructor(backend, fixturesPath, rootDir = process.cwd()) {
+        this.backend = backend;
+        this.fixturesPath = fixturesPath;
+        this.rootDir = rootDir;
+        this.fixtures = {
+            version: FIXTURE_VERSION,
+            root: rootDir,
+            structure: {},
+            complete: {},
+            indexSource: {},
+            doc: {},
+            describePackages: {},
+            sdkPath: {}
+        };
+    }
+
+    async structure(filePath) {
+        const result = await this.backend.structure(filePath);
+        this.fixtures.structure[fixtureKey(this.rootDir, filePath)] = result;
+        return result;
+    }
+
+    async complete(filePath, offset, moduleName, compilerArguments) {
+        const result = await this.backend.complete(filePath, offset, moduleName, compilerArguments);
+        this.fixtures.complete[moduleName] = result;
+        return result;
+    }
+
+    async indexSource(filePath, compilerArguments) {
+        const result = await this.backend.indexSource(filePath, compilerArguments);
+        this.fixtures.indexSource[fixtureKey(this.rootDir, filePath)] = result;
+        return result;
+    }
+
+    async doc(moduleName, compilerArguments) {
+        const result = await this.backend.doc(moduleName, compilerArguments);
+        this.fixtures.doc[moduleName] = result;
+        return result;
+    }
+
+    async build(options) {
+        const result = await this.backend.build(options);
+        this.fixtures.build = result;
+        return result;
+    }
+
+    async describe(packagePath) {
+        const result = await this.backend.describe(packagePath);
+        if (packagePath) {
+            this.fixtures.describePackages[fixtureKey(this.rootDir, packagePath)] = result;
+        } else {
+            this.fixtures.describe = result;
+        }
+        return result;
+    }
+
+    async toolchainVersion() {
+        const result = await this.backend.toolchainVersion();
+        this.fixtures.toolchain = result;
+        return result;
+    }
+
+    async sdkPath(sdk) {
+        const result = await this.backend.sdkPath(sdk);
+        this.fixtures.sdkPath[sdk] = result;
+        return result;
+    }
+
+    /**
+     * Saves the recorded fixtures to the fixture file.
+     */
+    async save() {
+        await fs.writeFile(this.fixturesPath, JSON.stringify(this.fixtures, null, 2));
+    }
+}
+
+/**
+ * Converts the failure of a program to a typed error.
+ * @param {string} program - Program which was run.
+ * @param {string} command - Command shown in the message.
+ * @param {Error} error - Error of child_process.
+ * @returns {ScanError} - ToolchainMissingError if the program is not installed, a command-failed error otherwise.
+ */
+function commandError(program, command, error) {
+    // execFile and spawn fail with ENOENT, shells exit with 127
+    if (error.code === 'ENOENT' || error.status === 127) {
+        return new ToolchainMissingError(`${program} not found, install the Swift toolchain and sourcekitten`, { cause: error });
+    }
+    const stderr = String(error.stderr || '').trim();
+    return new ScanError(`${command} failed: ${stderr || error.message.trim()}`, {
+        code: DIAGNOSTIC_CODES.COMMAND_FAILED,
+        cause: error
+    });
+}
+
+/**
+ * Parses the JSON output of a program.
+ * @param {string} output - Standard output of the program.
+ * @param {string} command - Command shown in the message.
+ * @returns {*} - The parsed output.
+ * @throws {ParseError} - If the output is not JSON.
+ */
+function parseOutput(output, command) {
+    try {
+        return JSON.parse(output);
+    } catch (error) {
+        const excerpt = output.trim().substring(0, 200);
+        throw new ParseError(`Could not parse the output of ${command}: ${error.message}${excerpt ? ` (${excerpt})` : ''}`, { cause: error });
+    }
+}
+
+/**
+ * Builds the key a file is recorded under, relative to the project root.
+ * @param {string} rootDir - Project root.
+ * @param {string} filePath - Path of the file.
+ * @returns {string} - Root-relative path using forward slashes.
+ */
+function fixtureKey(rootDir, filePath) {
+    return path.relative(rootDir, path.resolve(rootDir, filePath)).split(path.sep).join('/');
+}
+
+/**
+ * Replaces the recording root with the replay root in every string of a recorded value.
+ * @param {*} value - Recorded value.
+ * @param {string} fromRoot - Root the value was recorded in.
+ * @param {string} toRoot - Root the value is replayed in.
+ * @returns {*} - Relocated copy of the value.
+ */
+function relocate(value, fromRoot, toRoot) {
+    if (typeof value === 'string') {
+        return fromRoot ? value.split(fromRoot).join(toRoot) : value;
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => relocate(item, fromRoot, toRoot));
+    }
+    if (value && typeof value === 'object') {
+        const relocated = {};
+        // Keys can be paths too, such as the files of `sourcekitten doc`
+        for (const key of Object.keys(value)) {
+            relocated[relocate(key, fromRoot, toRoot)] = relocate(value[key], fromRoot, toRoot);
+        }
+        return relocated;
+    }
+    return value;
+}
+
+/**
+ * Creates the backend selected by the CLI options.
+ * @param {Object} options - Backend options.
+ * @param {string} [options.backend] - Driver name, "shell" (default) or "fixture".
+ * @param {string} [options.fixtures] - Fixture file to replay from, relative to the project root.
+ * @param {string} [options.record] - Fixture file to record the shell results to, relative to the project root.
+ * @param {string} [options.rootDir] - Project root the commands run in and fixtures are replayed against,
+ *                                     the current directory by default.
+ * @returns {Object} - The backend instance.
+ */
+function createBackend(options = {}) {
+    const rootDir = path.resolve(options.rootDir || process.cwd());
+    const driver = options.backend || (options.fixtures ? 'fixture' : 'shell');
+    if (driver === 'fixture') {
+        if (!options.fixtures) {
+            throw new Error('The fixture backend requires a fixture file (--fixtures <path>)');
+        }
+        return new FixtureBackend(path.resolve(rootDir, options.fixtures), rootDir);
+    }
+    if (driver !== 'shell') {
+        throw new Error(`Unknown backend "${driver}", expected "shell" or "fixture"`);
+    }
+    const backend = new ShellBackend(rootDir);
+    return options.record ? new RecordingBackend(backend, path.resolve(rootDir, options.record), rootDir) : backend;
+}
+
+module.exports = {
+    ShellBackend,
+    FixtureBackend,
+    RecordingBackend,
+    createBackend
+};
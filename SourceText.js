@@ -0,0 +1,173 @@
+/**
+ * Matches literal argument values: strings, numbers, booleans and nil.
+ */
+const LITERAL_PATTERN = /^(?:"(?:[^"\\]|\\.)*"|"""[\s\S]*"""|-?\d[\d_]*(?:\.\d[\d_]*)?(?:e-?\d+)?|0x[0-9a-fA-F_]+|true|false|nil)$/;
+
+/**
+ * Converts file content to a buffer, since SourceKit offsets and lengths are in UTF-8 bytes.
+ * @param {string|Buffer} content - Content of the file.
+ * @returns {Buffer} - The content as a buffer.
+ */
+function toBuffer(content) {
+    return Buffer.isBuffer(content) ? content : Buffer.from(content, 'utf8');
+}
+
+/**
+ * Gets the text of a node range from the file buffer.
+ * @param {Buffer} buffer - Content of the file.
+ * @param {number} offset - Byte offset of the range.
+ * @param {number} length - Byte length of the range.
+ * @returns {string} - The text of the range.
+ */
+function textAt(buffer, offset, length) {
+    return buffer.slice(offset, offset + length).toString('utf8');
+}
+
+/**
+ * LineIndex class converting the UTF-8 byte offsets of SourceKit to lines and columns.
+ * The byte offsets of the line starts are computed once per file, so each position is a binary search
+ * and the decoding of the start of its line. Columns count characters as JavaScript and editors do:
+ * UTF-16 code units, so an emoji counts for two.
+ */
+class LineIndex {
+    /**
+     * Constructor for LineIndex.
+     * @param {string|Buffer} content - Content of the file.
+     */
+    constructor(content) {
+        this.buffer = toBuffer(content);
+        this.lineStarts = [0];
+        for (let index = 0; index < this.buffer.length; index++) {
+            if (this.buffer[index] === 0x0A) {
+                this.lineStarts.push(index + 1);
+            }
+        }
+    }
+
+    /**
+     * Gets the 1-based line and column of a byte offset.
+     * Offsets past the end of the file are clamped to its end.
+     * @param {number} offset - Byte offset.
+     * @returns {Object} - The position as { line, column }.
+     */
+    positionAt(offset) {
+        const target = Math.max(0, Math.min(offset || 0, this.buffer.length));
+        // Last line starting at or before the offset
+        let low = 0;
+        let high = this.lineStarts.length - 1;
+        while (low < high) {
+            const middle = Math.ceil((low + high) / 2);
+            if (this.lineStarts[middle] <= target) {
+                low = middle;
+            } else {
+                high = middle - 1;
+            }
+        }
+        const lineText = this.buffer.slice(this.lineStarts[low], target).toString('utf8');
+        return { line: low + 1, column: lineText.length + 1 };
+    }
+
+    /**
+     * Gets the byte offset of a 1-based line and UTF-8 byte column, as SourceKit reports index positions.
+     * @param {number} line - Line.
+     * @param {number} column - Column, in bytes from the start of the line.
+     * @returns {number|null} - Byte offset, null if the file has no such line.
+     */
+    offsetAt(line, column) {
+        const lineStart = this.lineStarts[line - 1];
+        return lineStart === undefined ? null : lineStart + column - 1;
+    }
+
+    /**
+     * Gets the start and end positions of a byte range, such as the `key.offset` and `key.length` of a node.
+     * @param {number} offset - Byte offset of the range.
+     * @param {number} length - Byte length of the range.
+     * @returns {Object} - The range as { line, column, endLine, endColumn }, the end being right after the range.
+     */
+    rangeAt(offset, length) {
+        const start = this.positionAt(offset);
+        const end = this.positionAt((offset || 0) + (length || 0));
+        return { line: start.line, column: start.column, endLine: end.line, endColumn: end.column };
+    }
+}
+
+/**
+ * Line indexes of the buffers positions were asked for, so repeated lookups in a file reuse one index.
+ */
+const lineIndexes = new WeakMap();
+
+/**
+ * Gets the 1-based line and column of a byte offset.
+ * @param {Buffer} buffer - Content of the file.
+ * @param {number} offset - Byte offset.
+ * @returns {Object} - The position as { line, column }.
+ */
+function positionAt(buffer, offset) {
+    let index = lineIndexes.get(buffer);
+    if (!index) {
+        index = new LineIndex(buffer);
+        lineIndexes.set(buffer, index);
+    }
+    return index.positionAt(offset);
+}
+
+/**
+ * Checks whether an argument value is a literal.
+ * @param {string} value - Source text of the value.
+ * @returns {boolean} - True for string, number, boolean and nil literals.
+ */
+function isLiteral(value) {
+    return LITERAL_PATTERN.test(value.trim());
+}
+
+/**
+ * Checks whether a structure node is a closure argument, such as a trailing closure.
+ * @param {Object} node - Structure node of an argument.
+ * @returns {boolean} - True if the argument is a closure.
+ */
+function isClosureArgument(node) {
+    return (node['key.substructure'] || []).some(nested => nested['key.kind'] === 'source.lang.swift.expr.closure');
+}
+
+/**
+ * Extracts the arguments of a call from its `expr.argument` nodes.
+ * @param {Object} call - Structure node of the call.
+ * @param {Buffer} buffer - Content of the file.
+ * @param {Object} options - Extraction options.
+ * @param {boolean} [options.closures] - Include closure arguments, defaults to true.
+ * @param {Array} [options.designModules] - Design system module names, to spot design tokens.
+ * @returns {Array} - Arguments as { label, value, literal, closure }, with `designTokens` when design modules are given.
+ */
+function extractArguments(call, buffer, options = {}) {
+    const designModules = options.designModules;
+    const tokenPattern = designModules && designModules.length > 0
+        ? new RegExp(`\\b(?:${designModules.map(name => name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})(?:\\.[A-Za-z_][A-Za-z0-9_]*)+`, 'g')
+        : null;
+    return (call['key.substructure'] || [])
+        .filter(node => node['key.kind'] === 'source.lang.swift.expr.argument')
+        .filter(node => options.closures !== false || !isClosureArgument(node))
+        .map(node => {
+            const value = (node['key.bodyoffset'] !== undefined
+                ? textAt(buffer, node['key.bodyoffset'], node['key.bodylength'])
+                : textAt(buffer, node['key.offset'], node['key.length'])).trim();
+            const argument = {
+                label: node['key.name'] || null,
+                value: value,
+                literal: isLiteral(value),
+                closure: isClosureArgument(node)
+            };
+            if (designModules) {
+                argument.designTokens = tokenPattern ? Array.from(new Set(value.match(tokenPattern) || [])) : [];
+            }
+            return argument;
+        });
+}
+
+module.exports = {
+    toBuffer,
+    textAt,
+    LineIndex,
+    positionAt,
+    isLiteral,
+    extractArguments
+};
@@ -1,49 +1,217 @@
 // Required modules
-const { execSync } = require('child_process');
+const EventEmitter = require("events");
 const fs = require("fs").promises;
 const path = require("path");
+const { ShellBackend } = require('./SourceKitBackend');
+const CodebaseComponents = require('./CodebaseComponents');
+const ScanScheduler = require('./ScanScheduler');
+const ScanCache = require('./ScanCache');
+const Dataset = require('./Dataset');
+const ProjectDiscovery = require('./ProjectDiscovery');
+const { getReporter } = require('./Reporters');
+const SwiftUIHierarchy = require('./SwiftUIHierarchy');
+const SourceText = require('./SourceText');
+const UsageContext = require('./UsageContext');
+const Catalog = require('./Catalog');
+const { FileSelector, readChangedFiles } = require('./FileSelection');
+const { CONFIGURATIONS, findDerivedDataProducts } = require('./BuildManager');
+const { fileSink } = require('./Sinks');
+const { Diagnostics, DIAGNOSTIC_CODES, ModuleNotFoundError, ParseError, toScanError } = require('./Diagnostics');
 
 /**
  * SwiftScanner class for scanning Swift files and extracting components.
+ *
+ * Events:
+ *  - `file:start` ({ filePath }): a file starts being scanned.
+ *  - `file:done` ({ filePath, module, usages }): a file is scanned, with its number of recorded usages.
+ *  - `component` ({ component, filePath, location }): a usage is recorded on its component entry.
+ *  - `warning` (diagnostic): something was skipped, the scan goes on.
+ *  - `error` (diagnostic): a file, module or output failed, the scan goes on; only emitted when listened to.
+ * Both are diagnostics as { severity, code, message, filePath, module, error }, see Diagnostics.js.
  */
-class SwiftScanner {
+class SwiftScanner extends EventEmitter {
     /**
      * Constructor for SwiftScanner.
      * @param {Array} designSystemModules - Array of design system modules.
+     * @param {Object} backend - Backend running sourcekitten and swift, see SourceKitBackend.js.
+     * @param {Object} options - Scanner options.
+     * @param {string} [options.resolver] - SPM module resolver: "describe", "debug-yaml" or "auto" (default).
+     * @param {string} [options.matching] - Usage matching: "type" (default) resolves usages with SourceKit, "name" matches names only.
+     * @param {string} [options.rootDir] - Project root, the current directory by default: the project is discovered and built
+     *                                     there, the include and exclude patterns and relative paths apply to it.
+     * @param {Array} [options.include] - Glob patterns of the files to scan, every Swift file by default.
+     * @param {string} [options.datasetPath] - Path of the components dataset, the scan cache is saved next to it.
+     * @param {string} [options.componentsPath] - Path of the codebase components report.
+     * @param {Object} [options.aliases] - Map of module name to the name its components are reported under.
+     * @param {Object} [options.tags] - Map of module name to the tags of its components.
+     * @param {Object} [options.build] - Build options: configuration, skipBuild, timeout, swiftcFlags and, for Xcode
+     *                                   projects, derivedData; see BuildManager.js.
+     * @param {Object} [options.logger] - Logger with log, warn and error methods, the console by default.
+     * @param {Object} [options.sink] - Output sink the dataset, cache and reports are saved to, see Sinks.js.
      */
-    constructor(designSystemModules=[]) {
+    constructor(designSystemModules=[], backend=new ShellBackend(), options={}) {
+        super();
         // Initialize properties
         this.designSystemModules = designSystemModules;
+        this.logger = options.logger || console;
+        this.sink = options.sink || fileSink;
+        this.diagnostics = new Diagnostics();
+        this.backend = backend;
+        this.moduleResolver = options.resolver || 'auto';
+        this.matching = options.matching || 'type';
+        this.rootDir = path.resolve(options.rootDir || process.cwd());
+        this.includePatterns = options.include || [];
+        this.moduleAliases = options.aliases || {};
+        this.moduleTags = options.tags || {};
+        this.buildOptions = options.build || {};
+        this.derivedDataProducts = [];
+        this.sdkPaths = {};
         this.modulesList = {};
         this.thirdPartyDependencies = [];
-        this.codebaseComponents = [];
-        this.codebaseComponentsPath = "codebase_components.json";
-        this.projectComponents = [];
+        this.codebaseComponents = new CodebaseComponents();
+        this.codebaseComponentsPath = path.resolve(this.rootDir, options.componentsPath || "codebase_components.json");
         this.componentsDataset = {};
         this.scannedLibraries = new Set();
-        this.datasetFilePath = "components_dataset.json";
+        this.datasetFilePath = path.resolve(this.rootDir, options.datasetPath || "components_dataset.json");
+        this.datasetStamp = null;
+        this.scanCachePath = path.join(path.dirname(this.datasetFilePath), "scan_cache.json");
+        this.scanCache = null;
+        this.unindexedFiles = new Set();
+        this.datasetVersion = null;
         this.projectModulesList = [];
         this.externalModules = {};
     }
 
+    /**
+     * Logs a warning, records it in the diagnostics and emits it as a `warning` event.
+     * @param {string} message - The warning.
+     * @param {Object} [details] - Context of the warning: code, filePath and module.
+     */
+    warn(message, details = {}) {
+        this.logger.warn(message);
+        this.emit('warning', this.diagnostics.add('warning', message, this.withModule(details)));
+    }
+
+    /**
+     * Logs an error, records it in the diagnostics and emits it as an `error` event when listened to,
+     * so the scan goes on.
+     * @param {Error} error - The error, its type gives the diagnostic code (see Diagnostics.js).
+     * @param {string} message - Description of what failed.
+     * @param {Object} [details] - Context of the error: filePath and module.
+     */
+    fail(error, message, details = {}) {
+        this.logger.error(message);
+        const diagnostic = this.diagnostics.add('error', message, this.withModule(Object.assign({ error }, details)));
+        // EventEmitter throws unhandled `error` events
+        if (this.listenerCount('error') > 0) {
+            this.emit('error', diagnostic);
+        }
+    }
+
+    /**
+     * Adds the module of the file to the context of a diagnostic.
+     * @param {Object} details - Context of the diagnostic.
+     * @returns {Object} - The context, with the module when the file belongs to one.
+     */
+    withModule(details) {
+        if (details.module || !details.filePath) {
+            return details;
+        }
+        const module = this.getModuleForFile(details.filePath);
+        return module ? Object.assign({ module: module.name }, details) : details;
+    }
+
     /**
      * Initialize method to initialize the scanner.
+     * @throws {ScanError} - If the project modules cannot be resolved, e.g. the toolchain is missing or the build failed.
      */
     async initialize() {
         try {
-            await this.initiateBuild();
-            // Initialize project modules list
-            await this.getDebugYaml(); // Wait for projectModulesList to be populated
+            // Xcode projects list their modules in project.pbxproj, no build needed
+            const project = await ProjectDiscovery.discoverProject(this.rootDir);
+            if (project.type === 'xcode') {
+                this.logger.log(`Reading Xcode project...`);
+                // The settings of the Xcode configuration matching --configuration, e.g. Release
+                const configurationName = CONFIGURATIONS[this.buildOptions.configuration || 'debug'];
+                this.projectModulesList.push(...await ProjectDiscovery.readXcodeModules(this.rootDir, project.projects, configurationName));
+                // The products of an Xcode build let SourceKit resolve the modules the targets import
+                this.derivedDataProducts = await findDerivedDataProducts(this.rootDir, project.projects, this.buildOptions);
+                this.derivedDataProducts.forEach(products => this.logger.log(`using build products: ${products}`));
+                await this.resolveSdkPaths();
+                return;
+            }
+
+            await this.resolveSpmModules();
         } catch (error) {
-            if (error.code === 'ENOENT') {
-                // Dataset file does not exist, recreate it
-                await this.saveDataset();
-            } else {
-                // Error occurred while reading dataset, handle bad format
-                console.log(`Error loading dataset: ${error.message}`);
-                await this.saveDataset(); // Recreate dataset file
+            // Without modules every usage would go unmatched, stop rather than produce an empty scan
+            throw toScanError(error);
+        }
+    }
+
+    /**
+     * Populates projectModulesList of a SwiftPM package with the selected resolver,
+     * then merges the dependency versions of Package.resolved.
+     * "auto" describes the package and falls back to the debug.yaml of a build when describing fails.
+     */
+    async resolveSpmModules() {
+        if (!['describe', 'debug-yaml', 'auto'].includes(this.moduleResolver)) {
+            throw new Error(`Unknown module resolver "${this.moduleResolver}", expected describe, debug-yaml or auto`);
+        }
+
+        let resolved = false;
+        if (this.moduleResolver !== 'debug-yaml') {
+            try {
+                await this.getProjectModulesListFromDescribe();
+                resolved = true;
+            } catch (error) {
+                if (this.moduleResolver === 'describe') {
+                    throw error;
+                }
+                this.warn(`Error describing package, falling back to debug.yaml: ${error.message}`);
+                this.projectModulesList = [];
             }
         }
+
+        if (!resolved) {
+            const debugYaml = await this.initiateBuild();
+            // Initialize project modules list
+            await this.getDebugYaml(debugYaml); // Wait for projectModulesList to be populated
+        }
+        await this.mergeResolvedPackages();
+    }
+
+    /**
+     * Marks the modules of resolved dependencies as third-party and adds their URL and version.
+     * A module belongs to a dependency when it is declared by it or lives in its checkout.
+     */
+    async mergeResolvedPackages() {
+        const pins = await Dataset.readResolvedPins(this.rootDir);
+        pins.forEach(pin => {
+            const checkoutPath = path.join(this.rootDir, '.build', 'checkouts', checkoutName(pin.location));
+            const dependency = {
+                identity: pin.identity,
+                url: pin.location,
+                version: pin.version || pin.revision || pin.branch
+            };
+
+            this.projectModulesList
+                .filter(module => (
+                    (module.dependency && module.dependency.identity === pin.identity)
+                    || module.path === checkoutPath
+                    || module.path.startsWith(checkoutPath + path.sep)
+                ))
+                .forEach(module => {
+                    module.isThirdParty = true;
+                    module.dependency = dependency;
+                });
+
+            // Add the versions to the dependencies listed by the package description
+            this.thirdPartyDependencies
+                .filter(thirdPartyDependency => thirdPartyDependency.name === pin.identity)
+                .forEach(thirdPartyDependency => {
+                    thirdPartyDependency.version = dependency.version;
+                });
+        });
     }
 
     async loadDataset() {
@@ -52,79 +220,145 @@ class SwiftScanner {
           const datasetContent = await fs.readFile(this.datasetFilePath);
       
           // Parse the JSON content into an object
-          const dataset = JSON.parse(datasetContent);
+          const dataset = Dataset.deserializeDataset(JSON.parse(datasetContent));
       
-          this.componentsDataset = dataset;
+          this.componentsDataset = dataset.modules;
+          this.datasetStamp = dataset.stamp;
         } catch (error) {
-          console.error('Error loading dataset:', error);
+          this.fail(error, `Error loading dataset: ${error.message}`);
         }
       }
 
-    getDebugYaml() {
-        const fss = require('fs');
+    /**
+     * Gets the stamp of the current project: resolved package versions and toolchain version.
+     * @returns {Promise<Object>} - The stamp as { toolchain, packages }.
+     */
+    async getDatasetStamp() {
+        let toolchain = null;
+        try {
+            toolchain = await this.backend.toolchainVersion();
+        } catch (error) {
+            this.warn(`Error reading toolchain version: ${error.message}`);
+        }
+        return {
+            toolchain: toolchain,
+            packages: await Dataset.readResolvedPackages(this.rootDir)
+        };
+    }
+
+    /**
+     * Loads the dataset, rebuilding it when it is missing or was built
+     * with other package or toolchain versions.
+     * @returns {Promise<Array>} - Reasons the dataset was rebuilt, empty when it was loaded.
+     */
+    async ensureDataset() {
+        let changes = ['dataset file is missing'];
+        try {
+            await fs.access(this.datasetFilePath);
+            await this.loadDataset();
+            changes = Dataset.stampChanges(this.datasetStamp, await this.getDatasetStamp());
+        } catch (error) {
+            // The dataset file does not exist, build it
+        }
+
+        if (changes.length > 0) {
+            this.logger.log(`Rebuilding ${this.datasetFilePath}:`);
+            changes.forEach(change => this.logger.log(` - ${change}`));
+            const errors = this.diagnostics.errors.length;
+            await this.generateDataset();
+            // A dataset missing modules would be reused by the next scans, rebuild it next time instead
+            if (this.diagnostics.errors.length === errors) {
+                await this.saveDataset();
+            } else {
+                this.warn(`Dataset not saved, some modules failed: ${this.datasetFilePath} is rebuilt by the next scan`);
+            }
+        } else {
+            this.logger.log(`loading ${this.datasetFilePath}`);
+        }
+        return changes;
+    }
+
+    /**
+     * Populates projectModulesList from the content of the build's debug.yaml.
+     * @param {string} fileData - Content of `.build/debug.yaml`.
+     */
+    getDebugYaml(fileData) {
         const yaml = require('js-yaml');
     
         return new Promise((resolve, reject) => {
-            fss.readFile('.build/debug.yaml', 'utf8', (err, fileData) => {
-                if (err) {
-                    console.error('Error reading file:', err);
-                    reject(err);
-                    return;
-                }
-                /*
+            /*
 >>> o[56600:56900]
 '-gnu/debug/Spectre.build/Reporters.swift.o","/root/figma-export/.build/x86_64-unknown-linux-gnu/debug/Spectre.build/XCTest.swift.o","/root/figma-export/.build/x86_64-unknown-linux-gnu/debug/Spectre.swiftmodule"]\n    outputs: ["<Spectre-debug.module>"]\n\n  "<Stencil-debug.module>":\n    tool: phony\n   '
 >>>
 
-                */
-    
-                try {
-                    // Parse the YAML data
-                    const data = yaml.load(fileData);
-                    // Extract the modules from the commands data
-                    const inputs = data.commands.PackageStructure.inputs;
-                    const moduleKeys = Object.keys(data.commands).filter(
-                        key => key.startsWith('C.')
-                    );
-    
-                    moduleKeys
-                        .filter(mod => (
-                            data.commands[mod].inputs[0].includes('.build/checkouts') ||
-                            !data.commands[mod].inputs[0].includes('.build')
-                        ))
-                        .map(mod => {
-                            const originalPath = data.commands[mod].inputs[0];
-                            let path = '';
-                            if (originalPath.includes('.build/checkouts')) {
-                                const parentPath = originalPath.split('.build/checkouts')[0];
-                                const splittedLibrary = originalPath.split('.build/checkouts')[1].split('/');
-                                splittedLibrary.pop();
-                                const library = splittedLibrary.join('/');
-                                 path = `${parentPath}.build/checkouts${library}`;
-                            } else {
-                                const splittedPath = originalPath.split('/');
-                                splittedPath.pop();
-                                path = splittedPath.join('/');
-                            }
-                            this.projectModulesList.push({
-                                name: mod.substring(2, mod.lastIndexOf("-")),
-                                path: path,
-                                originalPath: originalPath,
-                                isThirdParty: originalPath.includes('.build/checkouts')
-                            });
-                        }); 
-                    resolve();
-                } catch (error) {
-                    console.error('Error parsing YAML:', error);
-                    reject(error);
-                }
-            });
+            */
+
+            try {
+                // Parse the YAML data
+                const data = yaml.load(fileData);
+                // Extract the modules from the commands data
+                const inputs = data.commands.PackageStructure.inputs;
+                const moduleKeys = Object.keys(data.commands).filter(
+                    key => key.startsWith('C.')
+                );
+
+                moduleKeys
+                    .filter(mod => (
+                        data.commands[mod].inputs[0].includes('.build/checkouts') ||
+                        !data.commands[mod].inputs[0].includes('.build')
+                    ))
+                    .map(mod => {
+                        const command = data.commands[mod];
+                        const originalPath = command.inputs[0];
+                        let path = '';
+                        if (originalPath.includes('.build/checkouts')) {
+                            const parentPath = originalPath.split('.build/checkouts')[0];
+                            const splittedLibrary = originalPath.split('.build/checkouts')[1].split('/');
+                            splittedLibrary.pop();
+                            const library = splittedLibrary.join('/');
+                             path = `${parentPath}.build/checkouts${library}`;
+                        } else {
+                            const splittedPath = originalPath.split('/');
+                            splittedPath.pop();
+                            path = splittedPath.join('/');
+                        }
+                        this.projectModulesList.push({
+                            name: mod.substring(2, mod.lastIndexOf("-")),
+                            path: path,
+                            originalPath: originalPath,
+                            isThirdParty: originalPath.includes('.build/checkouts'),
+                            compilerArguments: this.getDebugYamlCompilerArguments(command)
+                        });
+                    }); 
+                resolve();
+            } catch (error) {
+                reject(new ParseError(`Could not parse .build/debug.yaml: ${error.message}`, { cause: error }));
+            }
         });
     }
 
 
+    /**
+     * Gets the compiler arguments of a swift-compiler command of debug.yaml.
+     * @param {Object} command - Command of the debug.yaml `commands` map.
+     * @returns {Array|undefined} - Compiler arguments, or undefined if the command lists no sources.
+     */
+    getDebugYamlCompilerArguments(command) {
+        if (!command.sources || !command['module-name']) {
+            return undefined;
+        }
+        const importPaths = [].concat(...(command['import-paths'] || []).map(importPath => ['-I', importPath]));
+        return ['-module-name', command['module-name']]
+            .concat(importPaths, command['other-args'] || [], command.sources);
+    }
+
     async generateDataset() {
-        console.log('Creating dataset of available project components...');
+        this.logger.log('Creating dataset of available project components...');
+        // Start from an empty dataset stamped with the current versions
+        this.componentsDataset = {};
+        this.datasetStamp = await this.getDatasetStamp();
+        // Design system modules we own are inventoried from their declarations rather than completed
+        const catalogued = await this.catalogDesignModules();
         try {
             // Create an array to store all asynchronous tasks
             const tasks = this.projectModulesList.map(async module => {
@@ -136,68 +370,114 @@ class SwiftScanner {
                     // Calculate the offset using the file content
                     const offset = this.getOffset(fileContent, filePath);
     
-                    // Construct the sourcekitten command
-                    const command = `sourcekitten complete --file ${module.originalPath} --offset ${offset} --spm-module ${module.name} -- ''`;
-    
-                    // Execute the sourcekitten command and parse the output
-                    const output = this.executeCommand(command);
-                    const completeSuggestions = JSON.parse(output);
-                    this.updateDataset(completeSuggestions);
+                    // Ask the backend for the completion suggestions at that offset
+                    const completeSuggestions = await this.backend.complete(
+                        module.originalPath, offset, module.name, this.getCompilerArguments(module)
+                    );
+                    this.updateDataset(completeSuggestions.filter(suggestion => !catalogued.has(suggestion.moduleName)));
                 } catch (error) {
-                    console.error(`Error generating dataset for module ${module.name}: ${error.message}`);
+                    this.fail(error, `Error generating dataset for module ${module.name}: ${error.message}`, { module: module.name });
                 }
             });
             // Execute all asynchronous tasks concurrently
             await Promise.all(tasks);
+            catalogued.forEach(entries => this.updateDataset(entries));
         } catch (error) {
-            console.error(`Error generating dataset: ${error.message}`);
+            this.fail(error, `Error generating dataset: ${error.message}`);
         }
     }
-    
-    async initiateBuild() {
-        const { spawn } = require('child_process');
 
-        // Create a Promise to await the completion of the build process
-        return new Promise((resolve, reject) => {
-            console.log(`Initiating build...`);
+    /**
+     * Builds the dataset entries of the design system modules of the project from their catalog.
+     * Modules whose catalog cannot be built fall back to completion suggestions.
+     * @returns {Promise<Map>} - Map of module name to its dataset entries.
+     */
+    async catalogDesignModules() {
+        const catalogued = new Map();
+        const modules = this.projectModulesList.filter(module => !module.isThirdParty && (
+            this.designSystemModules.includes(module.name) || this.designSystemModules.includes(this.getModuleAlias(module.name))
+        ));
+        for (const module of modules) {
+            try {
+                catalogued.set(module.name, Catalog.toDatasetEntries(await this.generateCatalog(module.name)));
+            } catch (error) {
+                this.warn(`Error cataloguing module ${module.name}, falling back to completion: ${error.message}`, { module: module.name });
+            }
+        }
+        return catalogued;
+    }
 
-            // Run swift build
-            const buildProcess = spawn('swift', ['build']);
+    /**
+     * Builds the inventory of the public and open declarations of a project module with `sourcekitten doc`.
+     * @param {string} moduleName - Name or alias of the module.
+     * @returns {Promise<Object>} - The catalog, see Catalog.buildCatalog.
+     * @throws {ModuleNotFoundError} - If the module is not part of the project.
+     */
+    async generateCatalog(moduleName) {
+        const module = this.projectModulesList.find(candidate => candidate.name === moduleName)
+            || this.projectModulesList.find(candidate => this.getModuleAlias(candidate.name) === moduleName);
+        if (!module) {
+            throw new ModuleNotFoundError(`Module ${moduleName} is not part of the project`, { module: moduleName });
+        }
+        const docs = await this.backend.doc(module.name, this.getCompilerArguments(module));
 
-            // Listen for data on stdout and stderr
-            buildProcess.stdout.on('data', (data) => {
-                // Check if the data contains the "Building" keyword
-                if (data.toString().includes('Building')) {
-                    buildProcess.kill(); // Kill the swift build process
-                    resolve(); // Resolve the Promise to signal completion
-                }
-            });
+        // Attributes are read from the source text
+        const sources = {};
+        for (const document of docs) {
+            for (const filePath of Object.keys(document)) {
+                sources[filePath] = await fs.readFile(filePath);
+            }
+        }
+        return Catalog.buildCatalog(module.name, docs, sources);
+    }
+    
+    /**
+     * Initiates the build through the backend to collect project dependencies and package structure.
+     * @returns {Promise<string>} - Content of the build's debug.yaml.
+     */
+    async initiateBuild() {
+        this.logger.log(`Initiating ${this.buildOptions.configuration || 'debug'} build...`);
+        // Stream the build output, indented under the message
+        return this.backend.build(Object.assign({
+            rootDir: this.rootDir,
+            onOutput: line => this.logger.log(`  ${line}`)
+        }, this.buildOptions));
+    }
 
-            // Listen for errors
-            buildProcess.on('error', (error) => {
-                console.error(`Error occurred during build: ${error}`);
-                reject(error); // Reject the Promise if an error occurs
-            });
-        });
+    /**
+     * Gets the compiler arguments sourcekitten needs for modules which are not SPM modules.
+     * Modules built for an SDK, such as iOS targets importing UIKit, are compiled against it for their deployment target.
+     * @param {Object} module - Module from projectModulesList.
+     * @returns {Array|undefined} - Compiler arguments, or undefined for SPM modules.
+     */
+    getCompilerArguments(module) {
+        if (!module.sources) {
+            return undefined;
+        }
+        const platform = [];
+        if (module.sdk && this.sdkPaths[module.sdk]) {
+            platform.push('-sdk', this.sdkPaths[module.sdk]);
+        }
+        if (module.targetTriple) {
+            platform.push('-target', module.targetTriple);
+        }
+        const searchPaths = [].concat(...this.derivedDataProducts.map(products => ['-F', products, '-I', products]));
+        return ['-module-name', module.name].concat(platform, searchPaths, module.sources);
     }
 
     /**
-     * Execute command method to execute shell commands.
-     * @param {string} command - Command to execute.
-     * @returns {string} - Output of the executed command.
+     * Resolves the paths of the SDKs the project modules are built for.
+     * Modules whose SDK cannot be found are compiled against the default SDK of the toolchain.
      */
-    executeCommand(command) {
-        try {
-            const output = execSync(
-                command, { 
-                    encoding: 'utf-8',
-                    maxBuffer: 1024 * 1024 * 1024,
-                    stdio: ['pipe', 'pipe', 'pipe'] 
-                });
-            return output;
-        } catch (error) {
-            console.log("Error:", error.message);
-            return error.message.trim();
+    async resolveSdkPaths() {
+        const sdks = new Set(this.projectModulesList.map(module => module.sdk).filter(Boolean));
+        for (const sdk of sdks) {
+            try {
+                this.sdkPaths[sdk] = await this.backend.sdkPath(sdk);
+                this.logger.log(`using ${sdk} SDK: ${this.sdkPaths[sdk]}`);
+            } catch (error) {
+                this.warn(`Error locating the ${sdk} SDK, its modules may not resolve their imports: ${error.message}`);
+            }
         }
     }
 
@@ -206,11 +486,11 @@ class SwiftScanner {
      */
     async saveDataset() {
         try {
-            const data = JSON.stringify(this.componentsDataset, null, 2);
+            const data = JSON.stringify(Dataset.serializeDataset(this.componentsDataset, this.datasetStamp), null, 2);
             // Save the updated dataset to the JSON file
-            await fs.writeFile(this.datasetFilePath, data);
+            await this.sink.write(this.datasetFilePath, data);
         } catch (error) {
-            console.log(`Error saving dataset: ${error.message}`);
+            this.fail(error, `Error saving dataset: ${error.message}`);
         }
     }
 
@@ -218,48 +498,178 @@ class SwiftScanner {
      * Scan files recursively method to recursively scan Swift files in a directory.
      * @param {string} filePath - Path of the file or directory to scan.
      * @param {Array} excludedFolders - Array of folders to exclude from scanning.
+     * @param {Object} options - Scan options, see scanPaths.
+     * @returns {Promise<Array>} - Paths of the scanned Swift files.
      */
-    async scanFilesRecursively(filePath, excludedFolders = []) {
-        try {
-            const stats = await fs.stat(filePath);
+    async scanFilesRecursively(filePath, excludedFolders = [], options = {}) {
+        return this.scanPaths([filePath], excludedFolders, options);
+    }
 
-            // Check if the item is a directory
-            if (stats.isDirectory()) {
-                // Check if the provided directory path includes any of the module paths
-                const validPath = this.validPath(filePath);
-                if (!validPath) {
-                    console.log("Directory path does not include any module path. Please provide a valid scan path.");
-                    console.log("Available module paths:");
-                    this.projectModulesList.forEach(module => console.log(` - ${module.path}`));
-                    return;
-                }
+    /**
+     * Scans the Swift files of several paths across a pool of concurrent jobs.
+     * Resolves once every file has been processed.
+     * @param {Array} filePaths - Paths of the files or directories to scan.
+     * @param {Array} excludedFolders - Array of folders to exclude from scanning.
+     * @param {Object} options - Scan options.
+     * @param {number} [options.jobs] - Number of files scanned concurrently, defaults to the CPU count.
+     * @param {boolean} [options.cache] - Reuse the results of unchanged files, defaults to true.
+     * @param {string} [options.changedSince] - Only scan the files changed since this git ref.
+     * @param {boolean} [options.gitignore] - Skip the files ignored by .gitignore files, defaults to true.
+     * @returns {Promise<Array>} - Paths of the scanned Swift files.
+     */
+    async scanPaths(filePaths, excludedFolders = [], options = {}) {
+        // Load the cache of previous scans unless disabled
+        this.scanCache = null;
+        if (options.cache !== false) {
+            this.scanCache = new ScanCache(this.scanCachePath, this.sink);
+            const warning = await this.scanCache.load();
+            if (warning) {
+                this.warn(warning);
+            }
+            this.datasetVersion = this.getDatasetVersion();
+        }
 
-                // Read the contents of the directory
-                const files = await fs.readdir(filePath);
+        // Select the Swift files of every path
+        const files = await this.selectFiles(filePaths, excludedFolders, options);
+        this.checkDesignModules();
 
-                // Iterate through each item in the directory
-                for (const file of files) {
-                    const subFilePath = path.join(filePath, file);
+        // Extract the components of every file across the pool
+        const scheduler = new ScanScheduler(options.jobs);
+        this.logger.log(`Scanning ${files.length} files with ${scheduler.concurrency} jobs...`);
+        await scheduler.run(files, file => this.extractComponentsFromFile(file), (done, total, file) => {
+            this.logger.log(`[${done}/${total}] scanned ${file}`);
+        });
 
-                    // Check if the current directory should be excluded
-                    if (excludedFolders.includes(file)) {
-                        // Skip this directory if it's excluded
-                        continue;
-                    }
+        if (this.scanCache) {
+            this.logger.log(`Cache: ${this.scanCache.hits} unchanged, ${this.scanCache.misses} parsed`);
+            this.scanCache.prune(files);
+            try {
+                await this.scanCache.save();
+            } catch (error) {
+                this.warn(`Error saving cache: ${error.message}`);
+            }
+        }
+        return files;
+    }
 
-                    // Recursively scan subdirectories or files
-                    await this.scanFilesRecursively(subFilePath, excludedFolders);
-                }
-            } else {
-                // Check if the item is a Swift file
-                if (filePath.endsWith(".swift")) {
-                    // Extract components from the file
-                    await this.extractComponentsFromFile(filePath);
+    /**
+     * Records an error for each design system module which is neither a project module nor in the dataset,
+     * as none of its usages could be found.
+     */
+    checkDesignModules() {
+        this.designSystemModules
+            .filter(name => !this.componentsDataset[name]
+                && !this.projectModulesList.some(module => module.name === name || this.getModuleAlias(module.name) === name))
+            .forEach(name => {
+                const error = new ModuleNotFoundError(`Design system module ${name} is not part of the project`, { module: name });
+                this.fail(error, error.message, { module: name });
+            });
+    }
+
+    /**
+     * Extracts the SwiftUI view hierarchies of the Swift files of several paths.
+     * @param {Array} filePaths - Paths of the files or directories to analyse.
+     * @param {Array} excludedFolders - Array of folders to exclude.
+     * @param {Object} options - Analysis options.
+     * @param {number} [options.jobs] - Number of files analysed concurrently, defaults to the CPU count.
+     * @param {string} [options.changedSince] - Only analyse the files changed since this git ref.
+     * @param {boolean} [options.gitignore] - Skip the files ignored by .gitignore files, defaults to true.
+     * @returns {Promise<Object>} - Map of file path to its views, see SwiftUIHierarchy.extractViewHierarchies.
+     */
+    async extractViewHierarchies(filePaths, excludedFolders = [], options = {}) {
+        const files = await this.selectFiles(filePaths, excludedFolders, options);
+
+        const scheduler = new ScanScheduler(options.jobs);
+        const hierarchies = await scheduler.run(files, async file => {
+            try {
+                const content = await fs.readFile(file);
+                const structure = await this.getStructureFromFile(file);
+                return SwiftUIHierarchy.extractViewHierarchies(structure, content, {
+                    designModules: this.designSystemModules
+                });
+            } catch (error) {
+                this.fail(error, `Error extracting views from file ${file}: ${error.message}`, { filePath: file });
+                return [];
+            }
+        });
+
+        // Only list the files declaring views
+        const views = {};
+        files.forEach((file, index) => {
+            if (hierarchies[index].length > 0) {
+                views[file] = hierarchies[index];
+            }
+        });
+        return views;
+    }
+
+    /**
+     * Selects the Swift files of several paths, see FileSelection.js.
+     * Directories must contain a module or be inside one.
+     * @param {Array} filePaths - Paths of the files or directories to select.
+     * @param {Array} excludedFolders - Glob patterns of the files and folders to exclude, folder names exclude them at any depth.
+     * @param {Object} options - Selection options.
+     * @param {string} [options.changedSince] - Only select the files changed since this git ref.
+     * @param {boolean} [options.gitignore] - Skip the files ignored by .gitignore files, defaults to true.
+     * @returns {Promise<Array>} - Paths of the selected Swift files, without duplicates.
+     */
+    async selectFiles(filePaths, excludedFolders = [], options = {}) {
+        const changedFiles = options.changedSince
+            ? await readChangedFiles(options.changedSince, this.rootDir)
+            : null;
+        const selector = this.createFileSelector(excludedFolders, options, changedFiles);
+
+        const validPaths = [];
+        for (const filePath of filePaths) {
+            try {
+                const stats = await fs.stat(filePath);
+                // Check if the provided directory path includes any of the module paths
+                if (stats.isDirectory() && !this.validPath(filePath)) {
+                    this.warn("Directory path does not include any module path. Please provide a valid scan path.", {
+                        code: DIAGNOSTIC_CODES.MODULE_NOT_FOUND,
+                        filePath
+                    });
+                    this.logger.log("Available module paths:");
+                    this.projectModulesList.forEach(module => this.logger.log(` - ${module.path}`));
+                    continue;
                 }
+                validPaths.push(filePath);
+            } catch (error) {
+                this.warn(`Error scanning directory: ${error.message}`, { filePath });
             }
-        } catch (error) {
-            console.log("Error scanning directory:", error.message);
         }
+        return selector.select(validPaths);
+    }
+
+    /**
+     * Checks whether selecting several paths would select a Swift file found in them, without walking them again.
+     * The file is taken as changed since any git ref, as it is when it was just created or saved.
+     * @param {string} filePath - Absolute path of the Swift file.
+     * @param {Array} filePaths - Paths of the selected files or directories.
+     * @param {Array} excludedFolders - Glob patterns of the files and folders to exclude, see selectFiles.
+     * @param {Object} options - Selection options, see selectFiles.
+     * @returns {Promise<boolean>} - True if the file is selected.
+     */
+    async isFileSelected(filePath, filePaths, excludedFolders = [], options = {}) {
+        const selector = this.createFileSelector(excludedFolders, options, null);
+        return (await selector.selectFound(filePath, filePaths)).length > 0;
+    }
+
+    /**
+     * Creates the selector of the Swift files to scan.
+     * @param {Array} excludedFolders - Glob patterns of the files and folders to exclude.
+     * @param {Object} options - Selection options, see selectFiles.
+     * @param {Set|null} changedFiles - Only select these files, see readChangedFiles.
+     * @returns {FileSelector} - The selector.
+     */
+    createFileSelector(excludedFolders, options, changedFiles) {
+        return new FileSelector({
+            rootDir: this.rootDir,
+            include: this.includePatterns,
+            exclude: excludedFolders,
+            gitignore: options.gitignore,
+            changedFiles: changedFiles
+        });
     }
 
     /**
@@ -270,8 +680,8 @@ class SwiftScanner {
     validPath(directoryPath) {
         // Iterate through each module in the projectModulesList
         for (const module of this.projectModulesList) {
-            // Check if the module's path is a subdirectory of the provided directory path
-            if (module.path.includes(directoryPath)) {
+            // Check if the module's path is a subdirectory of the provided directory path, or contains it
+            if (module.path.includes(directoryPath) || directoryPath.startsWith(module.path + path.sep)) {
                 return true;
             }
         }
@@ -281,42 +691,61 @@ class SwiftScanner {
 
     /**
      * Get project modules list method to get the list of project modules from Swift Package Manager.
+     * Targets of the package are described first, then the targets of each checked out dependency.
+     * @throws {Error} - If the package cannot be described.
      */
-    getProjectModulesListFromDescribe() {
-        // Define the command to execute
-        const command = 'swift package describe --type json';
+    async getProjectModulesListFromDescribe() {
+        // Describe the package through the backend
+        const jsonData = await this.backend.describe();
+        if (!jsonData || typeof jsonData !== 'object' || !Array.isArray(jsonData.targets)) {
+            throw new Error('Invalid JSON data');
+        }
+        this.projectModulesList.push(...this.getModulesFromDescription(jsonData, null));
 
-        // Execute the command using executeCommand method
-        const jsonOutput = this.executeCommand(command);
+        // Extract third-party dependencies
+        this.thirdPartyDependencies = this.extractThirdPartyDependencies(jsonData);
 
-        try {
-            // Parse the JSON data from the command output
-            const jsonData = JSON.parse(jsonOutput);
-            if (!jsonData || typeof jsonData !== 'object') {
-                throw new Error('Invalid JSON data');
+        // Describe the dependencies to get their targets
+        const packagePath = jsonData.path || this.rootDir;
+        for (const dependency of this.thirdPartyDependencies) {
+            const checkoutPath = path.join(packagePath, '.build', 'checkouts', checkoutName(dependency.url));
+            try {
+                const dependencyData = await this.backend.describe(checkoutPath);
+                this.projectModulesList.push(...this.getModulesFromDescription(dependencyData, {
+                    identity: dependency.name,
+                    url: dependency.url
+                }));
+            } catch (error) {
+                this.warn(`Error describing dependency ${dependency.name}, run \`swift package resolve\`: ${error.message}`);
             }
+        }
+    }
 
-            // Access the targets array
-            const targets = jsonData.targets;
-
-            // Loop through the targets array
-            targets.forEach(target => {
-                // Access name and path for each target
-                const name = target.name;
-                const path = target.path;
-
-                // Push name and path to projectModulesList
-                this.projectModulesList.push({
-                    name: name,
-                    path: path
-                });
+    /**
+     * Converts the Swift targets of a package description to projectModulesList entries.
+     * @param {Object} description - Output of `swift package describe`.
+     * @param {Object|null} dependency - Dependency the package is checked out for, null for the root package.
+     * @returns {Array} - Modules with their path, first Swift source and product names.
+     */
+    getModulesFromDescription(description, dependency) {
+        const packagePath = description.path || this.rootDir;
+        const products = description.products || [];
+        return (description.targets || [])
+            .filter(target => (target.sources || []).some(source => source.endsWith('.swift')))
+            .map(target => {
+                const targetPath = path.resolve(packagePath, target.path);
+                return {
+                    name: target.c99name || target.name,
+                    path: targetPath,
+                    originalPath: path.join(targetPath, target.sources.find(source => source.endsWith('.swift'))),
+                    isThirdParty: dependency !== null,
+                    isTest: target.type === 'test',
+                    products: products
+                        .filter(product => (product.targets || []).includes(target.name))
+                        .map(product => product.name),
+                    dependency: dependency
+                };
             });
-
-            // Extract third-party dependencies
-            this.thirdPartyDependencies = this.extractThirdPartyDependencies(jsonData);
-        } catch (error) {
-            console.log('Error parsing JSON:', error);
-        }
     }
     
     parseAvailableModules(errorMessage) {
@@ -341,7 +770,7 @@ class SwiftScanner {
     extractThirdPartyDependencies(jsonData) {
         const thirdPartyDependencies = [];
         if (!jsonData || !jsonData.dependencies || !Array.isArray(jsonData.dependencies)) {
-            console.error('Invalid JSON data for extracting third-party dependencies');
+            this.logger.error('Invalid JSON data for extracting third-party dependencies');
             return thirdPartyDependencies;
         }
 
@@ -369,13 +798,34 @@ class SwiftScanner {
         return module ? module.isThirdParty : false;
     }
 
+    /**
+     * Finds the project module a file belongs to.
+     * @param {string} filePath - Path of the file.
+     * @returns {Object|null} - The module from projectModulesList, or null if no module contains the file.
+     */
+    getModuleForFile(filePath) {
+        let found = null;
+        for (const module of this.projectModulesList) {
+            // Xcode modules list their sources, SPM modules own everything under their path
+            const contains = module.sources
+                ? module.sources.includes(filePath)
+                : filePath.startsWith(module.path + path.sep);
+            // Prefer the most specific module when paths are nested
+            if (contains && (!found || module.path.length > found.path.length)) {
+                found = module;
+            }
+        }
+        return found;
+    }
+
     /**
      * Process the file content to extract components.
      * @param {string} fileContent - Content of the Swift file.
      * @param {string} filePath - Path of the file.
+     * @param {LineIndex} [lineIndex] - Position index of the file, built from the content when not given.
      */
-    process(fileContent, filePath) {
-        this.extractComponents(filePath, fileContent);
+    async process(fileContent, filePath, lineIndex) {
+        await this.extractComponents(filePath, fileContent, lineIndex);
     }
 
     /**
@@ -420,7 +870,7 @@ class SwiftScanner {
             }
         } catch (error) {
             // Handle errors when reading or appending to the file
-            console.error(`Error reading or updating file ${filePath}:`, error.message);
+            this.logger.error(`Error reading or updating file ${filePath}:`, error.message);
             return null;
         }
     }
@@ -428,9 +878,11 @@ class SwiftScanner {
     /**
      * Extract components from the file structure.
      * @param {Object} fileStructure - Structure of the file.
+     * @param {Map} [contexts] - Filled with the enclosing declarations of each component, see UsageContext.describeEnclosing.
+     * @param {Array} [ancestors] - Structure nodes containing fileStructure, outermost first.
      * @returns {Array} - Array of extracted components.
      */
-    extractComponentsFromStructure(fileStructure) {
+    extractComponentsFromStructure(fileStructure, contexts = null, ancestors = []) {
         const components = [];
         try {
             // Check if file structure exists and contains substructure
@@ -446,33 +898,61 @@ class SwiftScanner {
                     ) {
                         // If valid, push the component to the components array
                         components.push(component);
+                        if (contexts) {
+                            contexts.set(component, UsageContext.describeEnclosing(ancestors));
+                        }
                     }
                     // Recursively search for components within subcomponents
-                    const nestedComponents = this.extractComponentsFromStructure(component);
+                    const nestedComponents = this.extractComponentsFromStructure(component, contexts, ancestors.concat([component]));
                     components.push(...nestedComponents);
                 }
             }
         } catch (error) {
-            console.log(`Error extracting components from structure: ${error.message}`);
+            this.logger.log(`Error extracting components from structure: ${error.message}`);
         }
         return components;
     }
 
+    /**
+     * Gets the version of the loaded dataset, used to invalidate cached matches.
+     * @returns {string} - Hash of the dataset content.
+     */
+    getDatasetVersion() {
+        // Matches depend on the matching mode too
+        return ScanCache.hash(JSON.stringify(this.componentsDataset) + this.matching);
+    }
+
     /**
      * Extracts components from the specified file.
+     * Unchanged files reuse the matches cached by a previous scan.
      * @param {string} filePath - Path of the file to extract components from.
      * @param {string} fileContent - Content of the file.
+     * @param {LineIndex} [lineIndex] - Position index of the file, built from the content when not given.
      */
-    async extractComponents(filePath, fileContent) {
+    async extractComponents(filePath, fileContent, lineIndex = new SourceText.LineIndex(fileContent)) {
         try {
+            // Reuse the cached matches when the file and the dataset are unchanged
+            const contentHash = this.scanCache ? ScanCache.hash(fileContent) : null;
+            const cachedMatches = this.scanCache && this.scanCache.get(filePath, contentHash, this.datasetVersion);
+            if (cachedMatches) {
+                this.recordMatches(cachedMatches, filePath, fileContent, lineIndex);
+                return;
+            }
+
             // Get the structure of the file using sourcekitten
             const fileStructure = await this.getStructureFromFile(filePath);
-            // Extract components from the file structure
-            const components = this.extractComponentsFromStructure(fileStructure);
+            // Extract components from the file structure, with the declarations enclosing them
+            const contexts = new Map();
+            const components = this.extractComponentsFromStructure(fileStructure, contexts);
             // Process the extracted components
-            this.processComponents(components, filePath, fileContent);
+            this.unindexedFiles.delete(filePath);
+            const matches = await this.processComponents(components, filePath, fileContent, lineIndex, contexts);
+            // Matches made by name because the file could not be indexed are not cached, the next scan indexes it again
+            if (this.scanCache && !this.unindexedFiles.has(filePath)) {
+                this.scanCache.set(filePath, contentHash, this.datasetVersion, matches);
+            }
         } catch (error) {
-            console.log(`Error extracting components from file ${filePath}: ${error.message}`);
+            this.fail(error, `Error extracting components from file ${filePath}: ${error.message}`, { filePath });
         }
     }
 
@@ -484,12 +964,9 @@ class SwiftScanner {
      */
     async getStructureFromFile(filePath) {
         try {
-            const command = `sourcekitten structure --file "${filePath}"`;
-            const stdout = await this.executeCommand(command);
-            const jsonData = JSON.parse(stdout);
-            return jsonData;
+            return await this.backend.structure(filePath);
         } catch (error) {
-            throw new Error(`Error extracting public components: ${error.message}`);
+            throw toScanError(error, { filePath });
         }
     }
 
@@ -498,92 +975,356 @@ class SwiftScanner {
      * @param {Array} components - Array of extracted components.
      * @param {string} filePath - Path of the file containing the components.
      * @param {string} fileContent - Content of the file containing the components.
+     * @param {LineIndex} [lineIndex] - Position index of the file, built from the content when not given.
+     * @param {Map} [contexts] - Enclosing declarations of the components, see extractComponentsFromStructure.
+     * @returns {Promise<Array>} - The matches recorded for the file.
      */
-    processComponents(components, filePath, fileContent) {
+    async processComponents(components, filePath, fileContent, lineIndex = new SourceText.LineIndex(fileContent), contexts = new Map()) {
+        const matches = await this.matchComponents(components, filePath, fileContent, lineIndex, contexts);
+        this.recordMatches(matches, filePath, fileContent, lineIndex);
+        return matches;
+    }
+
+    /**
+     * Matches the extracted components with existing components in the dataset.
+     * Components whose name matches dataset entries are resolved with the SourceKit index of the file to their
+     * defining module and USR; when that is not possible the match falls back to the name, with a lower confidence.
+     * Calls are then resolved to the overload whose argument labels match the call site.
+     * A match references the dataset entry by module name and index, so it can be cached.
+     * @param {Array} components - Array of extracted components.
+     * @param {string} filePath - Path of the file containing the components.
+     * @param {string} fileContent - Content of the file containing the components.
+     * @param {LineIndex} [lineIndex] - Position index of the file, built from the content when not given.
+     * @param {Map} [contexts] - Enclosing declarations of the components, see extractComponentsFromStructure.
+     * @returns {Promise<Array>} - Matches of the form { component, moduleName, index, confidence, usr, arguments, enclosing }.
+     */
+    async matchComponents(components, filePath, fileContent, lineIndex = new SourceText.LineIndex(fileContent), contexts = new Map()) {
+        const matches = [];
+        const buffer = lineIndex.buffer;
+        const importedModules = this.getImportedModules(fileContent);
+        const fileModule = this.getModuleForFile(filePath);
         // Use a Map to store pre-processed module components for quick access
         const moduleComponentsMap = new Map();
+        // Dataset entries by USR, for the usages resolved by the index
+        const entriesByUsr = new Map();
     
         // Pre-process the dataset to reduce complexity in the main loop
         for (const moduleName in this.componentsDataset) {
             const processedComponents = [];
-            this.componentsDataset[moduleName].forEach(moduleComponent => {
+            this.componentsDataset[moduleName].forEach((moduleComponent, index) => {
                 if (moduleComponent.name) {
                     processedComponents.push({
                         baseName: moduleComponent.name.split('(')[0].trim(),
                         kind: moduleComponent.kind,
                         isFunc: moduleComponent.kind.includes('function'),
-                        fullComponent: moduleComponent
+                        index: index
                     });
                 }
+                (moduleComponent.associatedUSRs || '').split(' ').filter(Boolean).forEach(usr => {
+                    if (!entriesByUsr.has(usr)) {
+                        entriesByUsr.set(usr, { moduleName, index });
+                    }
+                });
             });
             moduleComponentsMap.set(moduleName, processedComponents);
         }
+
+        // The file is indexed once, on its first usage matching a dataset name
+        let references;
     
         // Main loop to process components
-        components.forEach(component => {
+        for (const component of components) {
             const componentName = component['key.name'] && component['key.name'].split('(')[0].trim();
             const componentKind = component['key.kind'];
     
-            if (!componentName) return;
+            if (!componentName) continue;
     
+            // Collect the first entry matching the name in every module
+            const candidates = [];
             moduleComponentsMap.forEach((moduleComponents, moduleName) => {
-                for (const { baseName, kind, isFunc, fullComponent} of moduleComponents) {
+                for (const { baseName, kind, isFunc, index } of moduleComponents) {
                     if (baseName === componentName) {
                         if ((isFunc && componentKind.includes('expr')) || kind === componentKind) {
-                            const metadata = this.extractMetadata(component, fullComponent, fileContent, filePath);
-                            if (metadata) {
-                                this.projectComponents.push(metadata);
-                            }
+                            candidates.push({ moduleName, index });
                             return; // Return early since we've found a match
                         }
                     }
                 }
             });
-        });
+            if (candidates.length === 0) continue;
+
+            // Resolve the usage with SourceKit, falling back to the name when it cannot be resolved
+            let resolution;
+            if (this.matching === 'type') {
+                if (references === undefined) {
+                    references = await this.indexReferences(filePath, lineIndex);
+                }
+                resolution = references ? this.resolveByType(component, candidates, references, entriesByUsr) : undefined;
+            }
+            if (resolution === undefined) {
+                resolution = this.resolveByName(candidates, importedModules, fileModule);
+            }
+            // The usage resolved to a declaration outside the dataset, such as a type shadowing a library name
+            if (!resolution) continue;
+
+            // A USR match is already the exact overload
+            const callArguments = SourceText.extractArguments(component, buffer);
+            if (resolution.confidence < 1 && componentKind === 'source.lang.swift.expr.call') {
+                resolution.index = this.resolveOverload(resolution.moduleName, resolution.index, callArguments);
+            }
+
+            // Keep the usage without its nested structure, which is matched separately
+            const usage = Object.assign({}, component);
+            delete usage["key.substructure"];
+            matches.push(Object.assign({ component: usage }, resolution, {
+                arguments: callArguments,
+                enclosing: contexts.get(component) || null
+            }));
+        }
+        return matches;
     }
 
     /**
-     * Finds the line and column corresponding to the specified offset in the given file.
-     * @param {string} fileName - The name of the file.
-     * @param {number} offset - The offset in the file.
-     * @returns {Object|null} - An object containing the line and column numbers, or null if an error occurs.
+     * Indexes a file with SourceKit, in a single request, to get the declaration referenced at each offset.
+     * @param {string} filePath - Path of the file.
+     * @param {LineIndex} lineIndex - Position index of the file.
+     * @returns {Promise<Map|null>} - Map of byte offset to the USRs referenced there (a call references both
+     *          the type and its initializer), null when the file cannot be indexed: its usages are then matched
+     *          by name, with a warning.
      */
-    findLineAndColumn(fileName, offset) {
-        // Import the 'fs' module
-        const fs = require('fs');
+    async indexReferences(filePath, lineIndex) {
+        let index;
         try {
-            // Read the content of the file
-            const fileContent = fs.readFileSync(fileName, 'utf-8');
+            index = await this.backend.indexSource(filePath, this.getIndexArguments(filePath));
+        } catch (error) {
+            const scanError = toScanError(error, { filePath });
+            this.warn(`Error indexing file ${filePath}, matching its usages by name: ${scanError.message}`, {
+                code: scanError.code,
+                filePath: filePath,
+                error: scanError
+            });
+            this.unindexedFiles.add(filePath);
+            return null;
+        }
+        const references = new Map();
+        const visit = entities => (entities || []).forEach(entity => {
+            const offset = entity['key.usr'] ? lineIndex.offsetAt(entity['key.line'], entity['key.column']) : null;
+            if (offset !== null) {
+                (references.get(offset) || references.set(offset, []).get(offset)).push(entity['key.usr']);
+            }
+            visit(entity['key.entities']);
+        });
+        visit(index && index['key.entities']);
+        return references;
+    }
 
-            // Initialize variables for line and column numbers
-            let line = 1;
-            let column = 1;
+    /**
+     * Resolves a usage to its dataset entry with the references of the SourceKit index of its file.
+     * @param {Object} component - The component object obtained from parsing the source code.
+     * @param {Array} candidates - Dataset entries matching the name, as { moduleName, index }.
+     * @param {Map} references - References of the file, see indexReferences.
+     * @param {Map} entriesByUsr - Dataset entries by USR, as { moduleName, index }.
+     * @returns {Object|null|undefined} - The resolution { moduleName, index, confidence, usr },
+     *          null when the usage resolves outside the dataset, undefined when it cannot be resolved.
+     */
+    resolveByType(component, candidates, references, entriesByUsr) {
+        const usrs = references.get(this.getNameOffset(component)) || [];
 
-            // Find the start of the line containing the offset
-            let lineStart = offset;
-            while (lineStart > 0 && fileContent[lineStart - 1] !== '\n') {
-                lineStart--;
-            }
+        // The USR identifies the exact declaration, including the overload
+        const usr = usrs.find(candidate => entriesByUsr.has(candidate));
+        if (usr) {
+            return Object.assign({}, entriesByUsr.get(usr), { confidence: 1, usr });
+        }
 
-            // Calculate the column number
-            column = offset - lineStart + 1;
+        // Otherwise trust the defining module, which Swift USRs start with
+        const resolved = usrs.map(candidate => ({ usr: candidate, moduleName: getUsrModuleName(candidate) }))
+            .find(reference => reference.moduleName);
+        if (!resolved) {
+            return undefined;
+        }
+        const candidate = candidates.find(match => match.moduleName === resolved.moduleName);
+        if (candidate) {
+            return Object.assign({}, candidate, { confidence: 0.9, usr: resolved.usr });
+        }
+        return null;
+    }
 
-            // Count the number of lines and columns before the offset position
-            for (let i = 0; i < lineStart; i++) {
-                if (fileContent[i] === '\n') {
-                    line++;
-                }
+    /**
+     * Resolves a usage to a dataset entry by name only.
+     * Declarations of the file's own module shadow imported ones, then imported modules are preferred.
+     * @param {Array} candidates - Dataset entries matching the name, as { moduleName, index }.
+     * @param {Array} importedModules - Modules imported by the file.
+     * @param {Object|null} fileModule - Project module the file belongs to.
+     * @returns {Object} - The resolution { moduleName, index, confidence, usr }.
+     */
+    resolveByName(candidates, importedModules, fileModule) {
+        const ownCandidate = fileModule && candidates.find(match => match.moduleName === fileModule.name);
+        if (ownCandidate) {
+            return Object.assign({}, ownCandidate, { confidence: 0.7, usr: null });
+        }
+        const imported = candidates.filter(match => importedModules.includes(match.moduleName));
+        const pool = imported.length > 0 ? imported : candidates;
+        // Confidence drops with the number of modules the name could come from
+        const confidence = (imported.length > 0 ? 0.6 : 0.3) / pool.length;
+        return Object.assign({}, pool[0], { confidence: Math.round(confidence * 100) / 100, usr: null });
+    }
+
+    /**
+     * Resolves a call to the overload of a dataset entry whose argument labels match the call.
+     * Defaulted parameters may be left out, so the call labels only need to appear in order in the signature.
+     * @param {string} moduleName - Module of the matched entry.
+     * @param {number} index - Index of the matched entry in the module.
+     * @param {Array} callArguments - Arguments of the call, see SourceText.extractArguments.
+     * @returns {number} - Index of the best matching overload, the matched entry when none matches better.
+     */
+    resolveOverload(moduleName, index, callArguments) {
+        const entries = this.componentsDataset[moduleName];
+        const baseName = entries[index].name.split('(')[0].trim();
+        const callLabels = callArguments.map(argument => argument.label || '_');
+        // Trailing closures are passed without their label
+        const labelsWithoutClosures = callArguments
+            .filter((argument, position) => !(argument.closure && !argument.label && position >= callArguments.length - 1))
+            .map(argument => argument.label || '_');
+
+        let best = { index, score: 0 };
+        entries.forEach((entry, entryIndex) => {
+            const labels = this.getSignatureLabels(entry.name);
+            if (!labels || entry.name.split('(')[0].trim() !== baseName) {
+                return;
             }
+            let score = 0;
+            if (labels.join(':') === callLabels.join(':')) {
+                score = 3;
+            } else if (isSubsequence(callLabels, labels)) {
+                score = 2;
+            } else if (isSubsequence(labelsWithoutClosures, labels)) {
+                score = 1;
+            }
+            // Prefer the overload with the fewest parameters left out
+            if (score > best.score || (score === best.score && score > 0 && labels.length < best.labels.length)) {
+                best = { index: entryIndex, score, labels };
+            }
+        });
+        return best.index;
+    }
 
-            // Return an object containing the line and column numbers
-            return { line, column };
-        } catch (error) {
-            // Handle errors by logging them and returning null
-            console.error(`Error reading file ${fileName}:`, error.message);
+    /**
+     * Gets the argument labels of a signature, as returned by sourcekitten complete.
+     * @param {string} name - Name with its signature, e.g. `DSButton(style:size:)`.
+     * @returns {Array|null} - Argument labels, `_` for unlabeled ones; null if the name has no signature.
+     */
+    getSignatureLabels(name) {
+        const match = /\(([^)]*)\)\s*$/.exec(name || '');
+        if (!match) {
             return null;
         }
+        return match[1].split(':').slice(0, -1).map(label => label.trim().split(' ')[0]);
+    }
+
+    /**
+     * Gets the modules imported by a Swift file.
+     * @param {string} fileContent - Content of the Swift file.
+     * @returns {Array} - Names of the imported modules.
+     */
+    getImportedModules(fileContent) {
+        const importedModules = [];
+        const importPattern = /^\s*(?:@\w+(?:\([^)]*\))?\s+)*import\s+(?:(?:typealias|struct|class|enum|protocol|let|var|func)\s+)?([A-Za-z_][A-Za-z0-9_]*)/gm;
+        let match;
+        while ((match = importPattern.exec(fileContent)) !== null) {
+            importedModules.push(match[1]);
+        }
+        return importedModules;
+    }
+
+    /**
+     * Gets the offset of the last name segment of a usage, where SourceKit resolves the declaration.
+     * @param {Object} component - The component object obtained from parsing the source code.
+     * @returns {number} - Offset of the name.
+     */
+    getNameOffset(component) {
+        const name = component['key.name'] || '';
+        const nameOffset = component['key.nameoffset'] !== undefined ? component['key.nameoffset'] : component['key.offset'];
+        // For member calls such as `view.addSubview`, resolve the member
+        return nameOffset + name.split('(')[0].lastIndexOf('.') + 1;
+    }
+
+    /**
+     * Gets the compiler arguments SourceKit needs to index a file.
+     * @param {string} filePath - Path of the file.
+     * @returns {Array} - Compiler arguments.
+     */
+    getIndexArguments(filePath) {
+        const module = this.getModuleForFile(filePath);
+        if (module && module.compilerArguments) {
+            return module.compilerArguments;
+        }
+        if (module && module.sources) {
+            return this.getCompilerArguments(module);
+        }
+        // Without the module's build command, the file alone still resolves the imported modules
+        const moduleArguments = module ? ['-module-name', module.name] : [];
+        const productsPath = path.join(this.rootDir, '.build', this.buildOptions.configuration || 'debug');
+        return moduleArguments.concat(['-I', productsPath, filePath]);
+    }
+
+    /**
+     * Records the matched components of a file on the codebase components.
+     * @param {Array} matches - Matches returned by matchComponents.
+     * @param {string} filePath - Path of the file containing the components.
+     * @param {string} fileContent - Content of the file containing the components.
+     * @param {LineIndex} [lineIndex] - Position index of the file, built from the content when not given.
+     */
+    recordMatches(matches, filePath, fileContent, lineIndex = new SourceText.LineIndex(fileContent)) {
+        // Whether the file is a test, and where its previews are, is the same for all its usages
+        const module = this.getModuleForFile(filePath);
+        const fileContext = {
+            module: module ? module.name : null,
+            // The test flag of the module decides, the folders of the file only when the module is unknown
+            testTarget: module ? Boolean(module.isTest) : undefined,
+            rootDir: this.rootDir,
+            previewRanges: matches.length > 0 && fileContent.includes('Preview') ? UsageContext.findPreviewRanges(fileContent) : []
+        };
+        matches.forEach(match => {
+            const { component, moduleName, index } = match;
+            const fullComponent = this.componentsDataset[moduleName][index];
+            const metadata = this.extractMetadata(component, fullComponent, fileContent, filePath, match, lineIndex, fileContext);
+            if (metadata) {
+                const locations = metadata.filewiseLocation[filePath];
+                this.emit('component', { component: metadata, filePath, location: locations[locations.length - 1] });
+            }
+        });
     }
 
+    /**
+     * Gets the name the components of a module are reported under, as configured by the module aliases.
+     * @param {string} moduleName - Name of the module.
+     * @returns {string} - The alias of the module, or its name.
+     */
+    getModuleAlias(moduleName) {
+        return this.moduleAliases[moduleName] || moduleName;
+    }
+
+    /**
+     * Gets the configured tags of the components of a module, by module name or alias.
+     * @param {string} moduleName - Name of the module.
+     * @returns {Array} - The tags.
+     */
+    getModuleTags(moduleName) {
+        const alias = this.getModuleAlias(moduleName);
+        const tags = (this.moduleTags[moduleName] || []).concat(alias !== moduleName ? this.moduleTags[alias] || [] : []);
+        return Array.from(new Set(tags));
+    }
+
+    /**
+     * Builds the aggregation id of a component usage.
+     * @param {Object} component - The component object obtained from parsing the source code.
+     * @param {Object} existingComponent - The existing component object from the dataset.
+     * @returns {string} - The id in the `module/name/kind` format.
+     */
+    getMetadataId(component, existingComponent) {
+        const componentType = component["key.kind"].replace('source.lang.swift.', '');
+        return `${this.getModuleAlias(existingComponent.moduleName)}/${component["key.name"]}/${componentType}`;
+    }
 
     /**
      * Extracts metadata for the specified component.
@@ -591,49 +1332,54 @@ class SwiftScanner {
      * @param {Object} existingComponent - The existing component object from the dataset.
      * @param {string} fileContent - The content of the Swift file.
      * @param {string} filePath - The path of the Swift file.
-     * @returns {Object} - The extracted metadata for the component.
+     * @param {Object} [match] - The match of the usage, with its confidence and USR.
+     * @param {LineIndex} [lineIndex] - Position index of the file, built from the content when not given.
+     * @param {Object} [fileContext] - Module, testTarget and previewRanges of the file, see UsageContext.classifyUsage.
+     * @returns {Object} - The aggregated metadata for the component.
      */
-    extractMetadata(component, existingComponent, fileContent, filePath) {
+    extractMetadata(component, existingComponent, fileContent, filePath, match = {}, lineIndex = new SourceText.LineIndex(fileContent), fileContext = {}) {
         try {
             // Extract necessary information from the component and existing component
             const componentName = component["key.name"];
             const componentType = component["key.kind"].replace('source.lang.swift.', '');
-            const metadataId = `${existingComponent.moduleName}/${componentName}/${componentType}`;
-
-            // Check if the metadata already exists in the dataset
-            let metadata = this.codebaseComponents[metadataId];
-            if (!metadata) {
-                // If metadata doesn't exist, create a new one
-                metadata = {
-                    id: metadataId,
-                    name: componentName,
-                    tags: [],
-                    overriddenComponents: {},
-                    designSystems: this.getDesignSystems(existingComponent.moduleName),
-                    designDocs: existingComponent.docBrief,
-                    isSelfDeclared: !this.isThirdParty(existingComponent.moduleName),
-                    filewiseOccurences: {},
-                    totalOccurences: 0,
-                    stories: [],
-                    filewiseLocation: {},
-                    type: componentType,
-                    libraryName: existingComponent.moduleName,
-                    thirdParty: this.isThirdParty(existingComponent.moduleName)
-                };
-            }
+            const metadataId = this.getMetadataId(component, existingComponent);
+            // SourceKit offsets and lengths are UTF-8 bytes
+            const { line, column, endLine, endColumn } = lineIndex.rangeAt(component["key.offset"], component["key.length"] || 0);
+            const callText = SourceText.textAt(lineIndex.buffer, component["key.offset"], component["key.length"] || 0);
+            const enclosing = match.enclosing || {};
 
-            // Update metadata information
-            metadata.totalOccurences++;
-            metadata.filewiseOccurences[filePath] = (metadata.filewiseOccurences[filePath] || 0) + 1;
-            const { line, column } = this.findLineAndColumn(filePath, component["key.offset"]);
-            metadata.filewiseLocation[filePath] = [{ line, column, offset: component["key.offset"] } ];
-
-            // Save updated metadata to the dataset
-            this.codebaseComponents.push(metadata);
-            return metadata;
+            // Record the usage on the aggregated entry, creating it on first use
+            return this.codebaseComponents.addUsage(metadataId, () => ({
+                name: componentName,
+                tags: this.getModuleTags(existingComponent.moduleName),
+                overriddenComponents: {},
+                designSystems: this.getDesignSystems(existingComponent.moduleName),
+                designDocs: existingComponent.docBrief,
+                isSelfDeclared: !this.isThirdParty(existingComponent.moduleName),
+                stories: [],
+                type: componentType,
+                libraryName: this.getModuleAlias(existingComponent.moduleName),
+                thirdParty: this.isThirdParty(existingComponent.moduleName)
+            }), filePath, {
+                line,
+                column,
+                endLine,
+                endColumn,
+                offset: component["key.offset"],
+                confidence: match.confidence !== undefined ? match.confidence : null,
+                usr: match.usr || null,
+                signature: existingComponent.name,
+                callText: callText,
+                arguments: (match.arguments || []).map(({ label, value, literal }) => ({ label, value, literal })),
+                context: {
+                    type: enclosing.type || null,
+                    function: enclosing.function || null,
+                    target: UsageContext.classifyUsage(filePath, line, Object.assign({ preview: enclosing.preview }, fileContext))
+                }
+            });
         } catch (error) {
-            console.log(`Error extracting metadata: ${error.message}`);
-            return {};
+            this.fail(error, `Error extracting metadata: ${error.message}`, { filePath });
+            return null;
         }
     }
 
@@ -643,8 +1389,8 @@ class SwiftScanner {
      * @returns {Array} - An array containing the design system(s) matching the module name.
      */
     getDesignSystems(moduleName) {
-        // Convert moduleName to lowercase for case-insensitive comparison
-        const lowercaseModuleName = moduleName.toLowerCase();
+        // Convert moduleName and its alias to lowercase for case-insensitive comparison
+        const lowercaseModuleNames = [moduleName.toLowerCase(), this.getModuleAlias(moduleName).toLowerCase()];
         
         // Initialize an array to store matched design systems
         const matchedDesignSystems = [];
@@ -654,8 +1400,8 @@ class SwiftScanner {
             // Convert design system module name to lowercase for comparison
             const lowercaseDesignSystemModule = designSystemModule.toLowerCase();
 
-            // Check if the lowercaseModuleName matches the lowercaseDesignSystemModule
-            if (lowercaseDesignSystemModule === lowercaseModuleName) {
+            // Check if the module or its alias matches the lowercaseDesignSystemModule
+            if (lowercaseModuleNames.includes(lowercaseDesignSystemModule)) {
                 // If matched, push the design system module name to the matchedDesignSystems array
                 matchedDesignSystems.push(designSystemModule);
             }
@@ -667,14 +1413,23 @@ class SwiftScanner {
 
 
     /**
-     * Saves the codebase components to a JSON file.
+     * Saves the codebase components with the reporter of the given format, see Reporters.js.
+     * @param {string} format - Report format: json, csv, md, html or sarif.
+     * @param {string} [outputPath] - Path of the report, relative to the project root; defaults to codebaseComponentsPath
+     *                                with the format's extension.
+     * @returns {Promise<string|null>} - Path of the saved report, or null if an error occurred.
      */
-    saveCodebaseComponents() {
-        const fs = require('fs');
+    async saveCodebaseComponents(format = 'json', outputPath) {
         try {
-            fs.writeFileSync(this.codebaseComponentsPath, JSON.stringify(this.codebaseComponents, null, 2));
+            const reporter = getReporter(format);
+            const reportPath = outputPath
+                ? path.resolve(this.rootDir, outputPath)
+                : this.codebaseComponentsPath.replace(/\.json$/, `.${reporter.extension}`);
+            await this.sink.write(reportPath, reporter.render(this.codebaseComponents.toJSON(), { rootDir: this.rootDir }));
+            return reportPath;
         } catch (error) {
-            console.log(`Error saving dataset: ${error.message}`);
+            this.fail(error, `Error saving report: ${error.message}`);
+            return null;
         }
     }
 
@@ -683,18 +1438,75 @@ class SwiftScanner {
      * @param {string} filePath - Path of the Swift file to extract components from.
      */
     async extractComponentsFromFile(filePath) {
-        console.log(`scanning file: ${filePath}`);
+        this.emit('file:start', { filePath });
         try {
-            // Read the content of the Swift file
-            const fileContent = await fs.readFile(filePath, 'utf8');
+            // Read the content of the Swift file, indexing its lines once for the usage positions
+            const buffer = await fs.readFile(filePath);
+            const fileContent = buffer.toString('utf8');
+            const lineIndex = new SourceText.LineIndex(buffer);
+            // Remember which project module the file belongs to
+            const module = this.getModuleForFile(filePath);
+            if (!module) {
+                this.warn(`File ${filePath} does not belong to any project module`, {
+                    code: DIAGNOSTIC_CODES.MODULE_NOT_FOUND,
+                    filePath
+                });
+            }
+            this.codebaseComponents.addFile(filePath, module ? module.name : null);
             // Process the file content
-            this.process(fileContent, filePath);
+            await this.process(fileContent, filePath, lineIndex);
+            this.emit('file:done', {
+                filePath,
+                module: module ? module.name : null,
+                usages: this.codebaseComponents.countUsages(filePath)
+            });
         } catch (error) {
-            console.log(`Error scanning Swift file ${filePath}: ${error.message}`);
+            this.fail(error, `Error scanning Swift file ${filePath}: ${error.message}`, { filePath });
         }
     }
 
 }
 
+/**
+ * Gets the folder name SwiftPM checks a dependency out to.
+ * @param {string} url - URL or path of the dependency repository.
+ * @returns {string} - The checkout folder name.
+ */
+function checkoutName(url) {
+    return path.basename(url || '').replace(/\.git$/, '');
+}
+
+/**
+ * Checks whether the items of a list appear in order in another list.
+ * @param {Array} items - Items to look for.
+ * @param {Array} list - List to look in.
+ * @returns {boolean} - True if every item appears in list, in the same order.
+ */
+function isSubsequence(items, list) {
+    let position = 0;
+    for (const item of list) {
+        if (position < items.length && items[position] === item) {
+            position++;
+        }
+    }
+    return position === items.length;
+}
+
+/**
+ * Gets the module of a Swift declaration from its USR, whose mangled name starts with the module,
+ * e.g. `s:7SwiftUI4TextV` for SwiftUI's Text.
+ * @param {string} usr - USR of the declaration.
+ * @returns {string|null} - Name of the module, null for USRs not naming it, such as those of Objective-C declarations.
+ */
+function getUsrModuleName(usr) {
+    const match = /^s:(\d+)/.exec(usr || '');
+    if (!match) {
+        return null;
+    }
+    const length = parseInt(match[1], 10);
+    const moduleName = usr.substr(match[0].length, length);
+    return moduleName.length === length ? moduleName : null;
+}
+
 module.exports = SwiftScanner;
 // scanner.extractComponentsFromFile('Tests/DownloadTests.swift');
@@ -0,0 +1,226 @@
+// Required modules
+const path = require("path");
+const SourceText = require('./SourceText');
+
+/**
+ * Kinds of the declarations a SwiftUI view can be declared by.
+ */
+const VIEW_DECLARATION_KINDS = [
+    'source.lang.swift.decl.struct',
+    'source.lang.swift.decl.class',
+    'source.lang.swift.decl.extension'
+];
+
+/**
+ * Checks whether a declaration conforms to View.
+ * @param {Object} node - Structure node of a declaration.
+ * @returns {boolean} - True for View-conforming structs, classes and extensions.
+ */
+function isViewDeclaration(node) {
+    return VIEW_DECLARATION_KINDS.includes(node['key.kind'])
+        && (node['key.inheritedtypes'] || []).some(type => ['View', 'SwiftUI.View'].includes(type['key.name']));
+}
+
+/**
+ * Checks whether a member of a view declares view content: `body` and members returning `some View`.
+ * @param {Object} node - Structure node of a member.
+ * @returns {boolean} - True if the member declares view content.
+ */
+function isViewContent(node) {
+    const kind = node['key.kind'] || '';
+    if (!kind.startsWith('source.lang.swift.decl.var') && !kind.startsWith('source.lang.swift.decl.function')) {
+        return false;
+    }
+    return node['key.name'] === 'body' || /\bsome\s+(?:SwiftUI\.)?View\b/.test(node['key.typename'] || '');
+}
+
+/**
+ * Checks whether a call creates a view, i.e. calls an initializer such as `Text` or `DS.Button`.
+ * Calls of functions, such as actions in closures, start with a lowercase name.
+ * @param {string} name - Name of the call.
+ * @returns {boolean} - True if the call creates a view.
+ */
+function isViewCall(name) {
+    const segments = name.split('.');
+    return /^[A-Z]/.test(segments[segments.length - 1]);
+}
+
+/**
+ * Extracts the value arguments of a call; closures are content, see collectContent.
+ * @param {Object} call - Structure node of the call.
+ * @param {Buffer} buffer - Content of the file.
+ * @param {Array} designModules - Design system module names, to spot design tokens.
+ * @returns {Array} - Arguments as { label, value, literal, closure, designTokens }.
+ */
+function extractArguments(call, buffer, designModules) {
+    return SourceText.extractArguments(call, buffer, { closures: false, designModules: designModules });
+}
+
+/**
+ * Collects the views created by a list of structure nodes.
+ * Non-view nodes, such as `if` statements and closures, are searched for nested views.
+ * @param {Array} nodes - Structure nodes.
+ * @param {Buffer} buffer - Content of the file.
+ * @param {Array} designModules - Design system module names.
+ * @returns {Array} - View nodes, see buildView.
+ */
+function collectViews(nodes, buffer, designModules) {
+    const views = [];
+    (nodes || []).forEach(node => {
+        if (node['key.kind'] === 'source.lang.swift.expr.call') {
+            const view = buildView(node, buffer, designModules);
+            if (view) {
+                views.push(view);
+                return;
+            }
+        }
+        views.push(...collectViews(node['key.substructure'], buffer, designModules));
+    });
+    return views;
+}
+
+/**
+ * Collects the views of the closures passed to a call, such as the content of a stack.
+ * Other arguments are values, not content.
+ * @param {Object} call - Structure node of the call.
+ * @param {Buffer} buffer - Content of the file.
+ * @param {Array} designModules - Design system module names.
+ * @returns {Array} - View nodes.
+ */
+function collectContent(call, buffer, designModules) {
+    const closures = [];
+    const findClosures = nodes => (nodes || []).forEach(node => {
+        if (node['key.kind'] === 'source.lang.swift.expr.closure') {
+            closures.push(node);
+        } else if (node['key.kind'] !== 'source.lang.swift.expr.call') {
+            findClosures(node['key.substructure']);
+        }
+    });
+    findClosures(call['key.substructure']);
+    return [].concat(...closures.map(closure => collectViews(closure['key.substructure'], buffer, designModules)));
+}
+
+/**
+ * Builds the view node of a call, peeling its modifier chain.
+ * A modifier call, such as `Text("a").padding()`, starts at the same offset as the call it modifies.
+ * @param {Object} call - Structure node of the outermost call.
+ * @param {Buffer} buffer - Content of the file.
+ * @param {Array} designModules - Design system module names.
+ * @returns {Object|null} - The view as { name, line, column, offset, arguments, modifiers, children },
+ *                          null if the call does not create a view.
+ */
+function buildView(call, buffer, designModules) {
+    const modifiers = [];
+    let base = call;
+    for (;;) {
+        const modified = (base['key.substructure'] || []).find(node => (
+            node['key.kind'] === 'source.lang.swift.expr.call' && node['key.offset'] === base['key.offset']
+        ));
+        if (!modified) {
+            break;
+        }
+        const name = base['key.name'];
+        modifiers.unshift({
+            name: name.substring(name.lastIndexOf('.') + 1),
+            arguments: extractArguments(base, buffer, designModules),
+            children: collectContent(base, buffer, designModules)
+        });
+        base = modified;
+    }
+
+    const name = (base['key.name'] || '').replace(/\s+/g, '');
+    if (!isViewCall(name)) {
+        return null;
+    }
+    return Object.assign({ name }, SourceText.positionAt(buffer, base['key.offset']), {
+        offset: base['key.offset'],
+        arguments: extractArguments(base, buffer, designModules),
+        modifiers: modifiers,
+        children: collectContent(base, buffer, designModules)
+    });
+}
+
+/**
+ * Extracts the view hierarchies of the View-conforming types of a file.
+ * @param {Object} structure - `sourcekitten structure` output of the file.
+ * @param {string|Buffer} content - Content of the file.
+ * @param {Object} options - Extraction options.
+ * @param {Array} [options.designModules] - Design system module names, to spot design tokens in arguments.
+ * @returns {Array} - Views as { name, line, column, members: [{ name, views }] }.
+ */
+function extractViewHierarchies(structure, content, options = {}) {
+    const buffer = SourceText.toBuffer(content);
+    const designModules = options.designModules || [];
+    const declarations = [];
+
+    // View types can be nested in other types
+    const findDeclarations = nodes => (nodes || []).forEach(node => {
+        if (isViewDeclaration(node)) {
+            declarations.push(node);
+        }
+        findDeclarations(node['key.substructure']);
+    });
+    findDeclarations(structure && structure['key.substructure']);
+
+    return declarations.map(declaration => Object.assign(
+        { name: declaration['key.name'] },
+        SourceText.positionAt(buffer, declaration['key.offset']),
+        {
+            members: (declaration['key.substructure'] || []).filter(isViewContent).map(member => ({
+                name: member['key.name'],
+                views: collectViews(member['key.substructure'], buffer, designModules)
+            }))
+        }
+    ));
+}
+
+/**
+ * Formats an argument list as Swift call arguments.
+ * @param {Array} args - Arguments returned by extractArguments.
+ * @returns {string} - The arguments.
+ */
+function formatArguments(args) {
+    return args.map(arg => (arg.label ? `${arg.label}: ${arg.value}` : arg.value))
+        .join(', ');
+}
+
+/**
+ * Formats view hierarchies as an indented tree.
+ * @param {Object} files - Map of file path to the views returned by extractViewHierarchies.
+ * @param {Object} options - Formatting options.
+ * @param {string} [options.rootDir] - Directory file paths are shown relative to.
+ * @returns {string} - The hierarchies.
+ */
+function formatViewHierarchies(files, options = {}) {
+    const rootDir = options.rootDir || process.cwd();
+    const lines = [];
+    const formatView = (view, depth) => {
+        const indent = '  '.repeat(depth);
+        lines.push(`${indent}${view.name}(${formatArguments(view.arguments)})`);
+        view.modifiers.forEach(modifier => {
+            lines.push(`${indent}  .${modifier.name}(${formatArguments(modifier.arguments)})`);
+            modifier.children.forEach(child => formatView(child, depth + 2));
+        });
+        view.children.forEach(child => formatView(child, depth + 1));
+    };
+
+    Object.keys(files).sort().forEach(filePath => {
+        files[filePath].forEach(view => {
+            lines.push(`${view.name} (${path.relative(rootDir, filePath)}:${view.line})`);
+            view.members.forEach(member => {
+                lines.push(`  ${member.name}`);
+                member.views.forEach(child => formatView(child, 2));
+            });
+            lines.push('');
+        });
+    });
+    if (lines.length === 0) {
+        lines.push('No SwiftUI views found.');
+    }
+    return lines.join('\n');
+}
+
+module.exports = {
+    extractViewHierarchies,
+    formatViewHierarchies
+};
@@ -0,0 +1,201 @@
+// Required modules
+const fs = require("fs");
+const path = require("path");
+const UsageContext = require('./UsageContext');
+
+/**
+ * Kinds of the type declarations, which are used whenever one of their initializers is.
+ */
+const TYPE_KINDS = [
+    'source.lang.swift.decl.struct',
+    'source.lang.swift.decl.class',
+    'source.lang.swift.decl.enum',
+    'source.lang.swift.decl.protocol'
+];
+
+/**
+ * Reads a source file, for the preview lookup.
+ * @param {string} filePath - Path of the Swift file.
+ * @returns {string|null} - Content of the file, null if it cannot be read.
+ */
+function readSource(filePath) {
+    try {
+        return fs.readFileSync(filePath, 'utf8');
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Gets the dataset modules of the design system modules, the modules being given by name or alias.
+ * @param {Object} dataset - Map of module name to its components, as in components_dataset.json.
+ * @param {Array} designModules - Design system module names or aliases.
+ * @param {Object} aliases - Map of module name to the name its components are reported under.
+ * @returns {Object} - { modules: names of the dataset modules, missing: design modules absent from the dataset }.
+ */
+function resolveDesignModules(dataset, designModules, aliases) {
+    const modules = [];
+    const missing = [];
+    designModules.forEach(designModule => {
+        const lowercaseName = designModule.toLowerCase();
+        const moduleName = Object.keys(dataset).find(name => name.toLowerCase() === lowercaseName
+            || (aliases[name] || '').toLowerCase() === lowercaseName);
+        if (!moduleName) {
+            missing.push(designModule);
+        } else if (!modules.includes(moduleName)) {
+            modules.push(moduleName);
+        }
+    });
+    return { modules: modules.sort(), missing: missing };
+}
+
+/**
+ * Finds the components of the design system modules that are never used, or only used in tests or SwiftUI previews.
+ * A usage is attributed to the dataset entry it was matched with (its `signature`); a type is also used
+ * whenever one of its initializers is.
+ * @param {Object} document - The codebase_components.json document.
+ * @param {Object} dataset - Map of module name to its components, as in components_dataset.json.
+ * @param {Object} options - Report options.
+ * @param {Array} options.designModules - Design system module names or aliases.
+ * @param {Object} [options.aliases] - Map of module name to the name its components are reported under.
+ * @param {string} [options.rootDir] - Root directory of the project, for the test folders of older results; see UsageContext.isTestFile.
+ * @param {Function} [options.readSource] - Reads a scanned file, returning null if it cannot; files on disk by default.
+ * @returns {Object} - { modules, missingModules, unused, testOrPreviewOnly }; components as
+ *          { module, name, kind, descriptionKey, deprecated }, with their `usages` per context (test, preview)
+ *          and `files` when they are only used in tests or previews.
+ */
+function computeUnused(document, dataset, options) {
+    const aliases = options.aliases || {};
+    const read = options.readSource || readSource;
+    const fileModules = document.files || {};
+    const { modules, missing } = resolveDesignModules(dataset, options.designModules || [], aliases);
+
+    // Preview ranges are only looked up in the files using a design system component
+    const previewRanges = {};
+    const contextOf = (filePath, line) => {
+        const fileContext = {
+            module: fileModules[filePath] && fileModules[filePath].module,
+            rootDir: options.rootDir
+        };
+        if (!(filePath in previewRanges)) {
+            const content = UsageContext.isTestFile(filePath, fileContext) ? null : read(filePath);
+            previewRanges[filePath] = content === null ? [] : UsageContext.findPreviewRanges(content);
+        }
+        return UsageContext.classifyUsage(filePath, line, Object.assign({ previewRanges: previewRanges[filePath] }, fileContext));
+    };
+
+    const report = { modules: [], missingModules: missing, unused: [], testOrPreviewOnly: [] };
+    modules.forEach(moduleName => {
+        const reportedNames = [moduleName.toLowerCase(), (aliases[moduleName] || moduleName).toLowerCase()];
+        const components = document.components.filter(component => reportedNames.includes(component.libraryName.toLowerCase()));
+
+        // Usages of the module per dataset entry name, with the base name for the types
+        const usagesByName = {};
+        const addUsage = (name, usage) => {
+            (usagesByName[name] = usagesByName[name] || []).push(usage);
+        };
+        components.forEach(component => {
+            Object.keys(component.filewiseLocation || {}).forEach(filePath => {
+                component.filewiseLocation[filePath].forEach(location => {
+                    // Scans record the target of each usage, older results are classified from the files
+                    const usage = {
+                        filePath: filePath,
+                        context: location.context ? location.context.target : contextOf(filePath, location.line)
+                    };
+                    const signature = location.signature || component.name;
+                    addUsage(signature, usage);
+                    const baseName = signature.split('(')[0];
+                    if (baseName !== signature) {
+                        addUsage(`type ${baseName}`, usage);
+                    }
+                });
+            });
+        });
+
+        const counts = { name: moduleName, declared: 0, used: 0, unused: 0, testOrPreviewOnly: 0 };
+        const seen = new Set();
+        (dataset[moduleName] || []).forEach(entry => {
+            const key = `${entry.kind} ${entry.name}`;
+            if (seen.has(key)) {
+                return;
+            }
+            seen.add(key);
+            counts.declared++;
+
+            const usages = (usagesByName[entry.name] || [])
+                .concat(TYPE_KINDS.includes(entry.kind) ? usagesByName[`type ${entry.name}`] || [] : []);
+            const component = {
+                module: moduleName,
+                name: entry.name,
+                kind: (entry.kind || '').replace('source.lang.swift.decl.', ''),
+                descriptionKey: entry.descriptionKey || null,
+                deprecated: entry.deprecated === true
+            };
+            if (usages.length === 0) {
+                counts.unused++;
+                report.unused.push(component);
+                return;
+            }
+            if (usages.some(usage => usage.context === 'app')) {
+                counts.used++;
+                return;
+            }
+            counts.testOrPreviewOnly++;
+            report.testOrPreviewOnly.push(Object.assign(component, {
+                usages: {
+                    test: usages.filter(usage => usage.context === 'test').length,
+                    preview: usages.filter(usage => usage.context === 'preview').length
+                },
+                files: Array.from(new Set(usages.map(usage => usage.filePath))).sort()
+            }));
+        });
+        report.modules.push(counts);
+    });
+
+    const compare = (a, b) => a.module.localeCompare(b.module) || a.name.localeCompare(b.name) || a.kind.localeCompare(b.kind);
+    report.unused.sort(compare);
+    report.testOrPreviewOnly.sort(compare);
+    return report;
+}
+
+/**
+ * Formats the unused components report as text, grouped by module.
+ * @param {Object} report - Report returned by computeUnused.
+ * @param {Object} options - Formatting options.
+ * @param {string} [options.rootDir] - Directory file paths are shown relative to.
+ * @returns {string} - The report.
+ */
+function formatUnused(report, options = {}) {
+    const rootDir = options.rootDir || process.cwd();
+    const describe = component => `${component.name} [${component.kind}]${component.deprecated ? ' (deprecated)' : ''}`;
+    const lines = [];
+    report.missingModules.forEach(moduleName => {
+        lines.push(`${moduleName}: not in the components dataset`);
+    });
+    report.modules.forEach(module => {
+        if (lines.length > 0) {
+            lines.push('');
+        }
+        lines.push(`${module.name}: ${module.declared} components, ${module.used} used, ${module.unused} unused, ${module.testOrPreviewOnly} only in tests or previews`);
+
+        const unused = report.unused.filter(component => component.module === module.name);
+        if (unused.length > 0) {
+            lines.push('  Never used:');
+            unused.forEach(component => lines.push(`   - ${describe(component)}`));
+        }
+        const limited = report.testOrPreviewOnly.filter(component => component.module === module.name);
+        if (limited.length > 0) {
+            lines.push('  Only used in tests or previews:');
+            limited.forEach(component => {
+                const files = component.files.map(filePath => path.relative(rootDir, filePath)).join(', ');
+                lines.push(`   - ${describe(component)}: ${component.usages.test} in tests, ${component.usages.preview} in previews (${files})`);
+            });
+        }
+    });
+    return lines.join('\n');
+}
+
+module.exports = {
+    computeUnused,
+    formatUnused
+};
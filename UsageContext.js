@@ -0,0 +1,256 @@
+// Required modules
+const path = require("path");
+
+/**
+ * Matches the folders and modules of test targets, e.g. `Tests/`, `AppUITests`.
+ */
+const TEST_NAME_PATTERN = /(?:Tests?|Specs?)$/;
+
+/**
+ * Matches the start of the SwiftUI previews: `#Preview` macros and the types conforming to PreviewProvider.
+ */
+const PREVIEW_PATTERN = /#Preview\b|\b(?:struct|class|enum|extension)\s+[A-Za-z_][\w.]*\s*:[^{]*\bPreviewProvider\b/g;
+
+/**
+ * Targets a usage can belong to: app code, tests or SwiftUI previews.
+ */
+const TARGETS = ['app', 'test', 'preview'];
+
+/**
+ * Kinds of the type declarations; extensions, of several kinds, are types too.
+ */
+const TYPE_KINDS = [
+    'source.lang.swift.decl.struct',
+    'source.lang.swift.decl.class',
+    'source.lang.swift.decl.enum',
+    'source.lang.swift.decl.protocol',
+    'source.lang.swift.decl.actor'
+];
+
+/**
+ * Checks whether a structure node declares a type or extends one.
+ * @param {Object} node - Structure node.
+ * @returns {boolean} - True for types and extensions.
+ */
+function isTypeDeclaration(node) {
+    const kind = node['key.kind'] || '';
+    return TYPE_KINDS.includes(kind) || kind.startsWith('source.lang.swift.decl.extension');
+}
+
+/**
+ * Checks whether a structure node declares a function or a property, such as `body`.
+ * Local variables and parameters are not members, their enclosing function is.
+ * @param {Object} node - Structure node.
+ * @returns {boolean} - True for functions, methods, initializers, accessors and properties.
+ */
+function isMemberDeclaration(node) {
+    const kind = node['key.kind'] || '';
+    return kind.startsWith('source.lang.swift.decl.function')
+        || (kind.startsWith('source.lang.swift.decl.var') && kind !== 'source.lang.swift.decl.var.local'
+            && kind !== 'source.lang.swift.decl.var.parameter');
+}
+
+/**
+ * Describes the declarations enclosing a usage, from the structure nodes containing it.
+ * @param {Array} ancestors - Structure nodes containing the usage, outermost first.
+ * @returns {Object} - { type, function, preview }: the name of the enclosing type (nested types joined with dots),
+ *          the method or property of that type (or the free function) containing the usage, null when there is none,
+ *          and whether the usage is in a PreviewProvider type or a `#Preview` macro.
+ */
+function describeEnclosing(ancestors) {
+    const types = [];
+    let member = null;
+    let preview = false;
+    ancestors.forEach(node => {
+        const name = node['key.name'] || '';
+        if (isTypeDeclaration(node)) {
+            types.push(name);
+            // The member of an outer type does not enclose the usage in a nested type
+            member = null;
+            preview = preview || (node['key.inheritedtypes'] || []).some(type => type['key.name'] === 'PreviewProvider');
+        } else if (isMemberDeclaration(node) && !member) {
+            member = name;
+        } else if ((node['key.kind'] || '').includes('macro_expansion') && name.replace(/^#/, '') === 'Preview') {
+            preview = true;
+        }
+    });
+    return { type: types.length > 0 ? types.join('.') : null, function: member, preview: preview };
+}
+
+/**
+ * Checks whether a file belongs to tests. The test flag of its module decides when the module is known;
+ * otherwise the module, or one of the folders of the file below the root directory, must be named after tests.
+ * File names are not considered, `ButtonSpecs.swift` may well be app code.
+ * @param {string} filePath - Path of the Swift file.
+ * @param {Object} [options] - Known facts about the file.
+ * @param {string} [options.module] - Module of the file.
+ * @param {boolean} [options.testTarget] - Whether the module of the file is a test target, when the module is known.
+ * @param {string} [options.rootDir] - Root directory of the project, the folders above it are not considered;
+ *        the current directory by default.
+ * @returns {boolean} - True if the file is a test file.
+ */
+function isTestFile(filePath, options = {}) {
+    if (typeof options.testTarget === 'boolean') {
+        return options.testTarget;
+    }
+    if (options.module && TEST_NAME_PATTERN.test(options.module)) {
+        return true;
+    }
+    const relativePath = path.relative(options.rootDir || process.cwd(), filePath);
+    const folders = path.dirname(relativePath).split(path.sep);
+    // Files outside the root directory have no project folders to go by
+    if (folders[0] === '..' || path.isAbsolute(relativePath)) {
+        return false;
+    }
+    return folders.some(folder => TEST_NAME_PATTERN.test(folder));
+}
+
+/**
+ * Skips a string interpolation, which may contain parentheses and string literals of its own.
+ * @param {string} content - Content of the Swift file.
+ * @param {number} index - Offset right after the `\(` opening the interpolation.
+ * @returns {number} - Offset right after the closing parenthesis.
+ */
+function skipInterpolation(content, index) {
+    let depth = 1;
+    let inString = false;
+    while (index < content.length && depth > 0) {
+        const character = content[index];
+        if (character === '\\') {
+            index += 2;
+            continue;
+        }
+        if (character === '"') {
+            inString = !inString;
+        } else if (!inString && character === '(') {
+            depth++;
+        } else if (!inString && character === ')') {
+            depth--;
+        }
+        index++;
+    }
+    return index;
+}
+
+/**
+ * Blanks out the comments and string literals of Swift source, keeping the line breaks,
+ * so braces and keywords can be searched in the code only.
+ * @param {string} content - Content of the Swift file.
+ * @returns {string} - The code, of the same length as the content.
+ */
+function maskCommentsAndStrings(content) {
+    const output = content.split('');
+    const blank = (start, end) => {
+        for (let index = start; index < end; index++) {
+            if (output[index] !== '\n') {
+                output[index] = ' ';
+            }
+        }
+    };
+
+    let index = 0;
+    while (index < content.length) {
+        if (content.startsWith('//', index)) {
+            const end = content.indexOf('\n', index);
+            const stop = end === -1 ? content.length : end;
+            blank(index, stop);
+            index = stop;
+        } else if (content.startsWith('/*', index)) {
+            // Block comments nest in Swift
+            let depth = 0;
+            let end = index;
+            do {
+                if (content.startsWith('/*', end)) {
+                    depth++;
+                    end += 2;
+                } else if (content.startsWith('*/', end)) {
+                    depth--;
+                    end += 2;
+                } else {
+                    end++;
+                }
+            } while (depth > 0 && end < content.length);
+            blank(index, end);
+            index = end;
+        } else if (content[index] === '"') {
+            const delimiter = content.startsWith('"""', index) ? '"""' : '"';
+            let end = index + delimiter.length;
+            while (end < content.length && !content.startsWith(delimiter, end)) {
+                if (content.startsWith('\\(', end)) {
+                    end = skipInterpolation(content, end + 2);
+                } else {
+                    end += content[end] === '\\' ? 2 : 1;
+                }
+            }
+            end = Math.min(end + delimiter.length, content.length);
+            blank(index, end);
+            index = end;
+        } else {
+            index++;
+        }
+    }
+    return output.join('');
+}
+
+/**
+ * Finds the lines of the SwiftUI previews of a file: the bodies of the `#Preview` macros and of the
+ * PreviewProvider types.
+ * @param {string} content - Content of the Swift file.
+ * @returns {Array} - Line ranges as { start, end }, 1-based and inclusive.
+ */
+function findPreviewRanges(content) {
+    const code = maskCommentsAndStrings(content);
+    const lineAt = offset => code.slice(0, offset).split('\n').length;
+    const ranges = [];
+    let match;
+    PREVIEW_PATTERN.lastIndex = 0;
+    while ((match = PREVIEW_PATTERN.exec(code)) !== null) {
+        const open = code.indexOf('{', match.index);
+        if (open === -1) {
+            break;
+        }
+        let depth = 0;
+        let close = open;
+        for (; close < code.length; close++) {
+            if (code[close] === '{') {
+                depth++;
+            } else if (code[close] === '}' && --depth === 0) {
+                break;
+            }
+        }
+        ranges.push({ start: lineAt(match.index), end: lineAt(close) });
+        PREVIEW_PATTERN.lastIndex = close;
+    }
+    return ranges;
+}
+
+/**
+ * Classifies where a usage is: in a test file, in a SwiftUI preview, or in the app code.
+ * @param {string} filePath - Path of the Swift file.
+ * @param {number} line - Line of the usage.
+ * @param {Object} options - Classification options.
+ * @param {string} [options.module] - Module of the file.
+ * @param {boolean} [options.testTarget] - Whether the module of the file is a test target, when the module is known.
+ * @param {string} [options.rootDir] - Root directory of the project, see isTestFile.
+ * @param {Array} [options.previewRanges] - Preview line ranges of the file, see findPreviewRanges.
+ * @param {boolean} [options.preview] - Whether the usage is known to be in a preview, see describeEnclosing.
+ * @returns {string} - One of test, preview or app.
+ */
+function classifyUsage(filePath, line, options = {}) {
+    if (isTestFile(filePath, options)) {
+        return 'test';
+    }
+    if (options.preview || (options.previewRanges || []).some(range => line >= range.start && line <= range.end)) {
+        return 'preview';
+    }
+    return 'app';
+}
+
+module.exports = {
+    TARGETS,
+    describeEnclosing,
+    isTestFile,
+    maskCommentsAndStrings,
+    findPreviewRanges,
+    classifyUsage
+};
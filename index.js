@@ -0,0 +1,141 @@
+// Required modules
+const path = require("path");
+const SwiftScanner = require('./SwiftScanner');
+const { ShellBackend, FixtureBackend, RecordingBackend, createBackend } = require('./SourceKitBackend');
+const { REPORTERS, getReporter } = require('./Reporters');
+const { fileSink, MemorySink, silentLogger } = require('./Sinks');
+const ScanWatcher = require('./ScanWatcher');
+const Config = require('./Config');
+const Diagnostics = require('./Diagnostics');
+
+/**
+ * Scans Swift files and returns the components they use, without printing anything by default.
+ *
+ * @param {Object} options - Scan options.
+ * @param {Array} options.paths - Paths of the Swift files or directories to scan.
+ * @param {Array} [options.designModules] - Design system module names.
+ * @param {Array} [options.include] - Glob patterns of the files to scan.
+ * @param {Array} [options.exclude] - Glob patterns of the files and folders to skip.
+ * @param {string} [options.rootDir] - Project root, the current directory by default: the project is discovered, described
+ *        and built there, and the relative paths, dataset and report included, are resolved against it.
+ * @param {number} [options.jobs] - Number of files scanned concurrently, defaults to the CPU count.
+ * @param {boolean} [options.cache] - Reuse the results of unchanged files, defaults to true.
+ * @param {string} [options.changedSince] - Only scan the files changed since this git ref.
+ * @param {boolean} [options.gitignore] - Skip the files ignored by .gitignore files, defaults to true.
+ * @param {boolean} [options.dryRun] - Only select the files, without scanning them.
+ * @param {Object|string} [options.backend] - Backend instance, or driver name with `fixtures` and `record`, see createBackend;
+ *        backends created from a driver name run in the project root.
+ * @param {string} [options.resolver] - SPM module resolver: describe, debug-yaml or auto.
+ * @param {string} [options.matching] - Usage matching: type or name.
+ * @param {string} [options.datasetPath] - Path of the components dataset.
+ * @param {Object} [options.aliases] - Map of module name to the name its components are reported under.
+ * @param {Object} [options.tags] - Map of module name to the tags of its components.
+ * @param {Object} [options.build] - Build options: configuration, skipBuild, timeout, swiftcFlags and derivedData, see BuildManager.js.
+ * @param {boolean} [options.save] - Save the report, to `output` or codebase_components.<format>; nothing is saved by default.
+ * @param {string} [options.output] - Path of the report, saving it.
+ * @param {string} [options.format] - Format of the saved report, json by default.
+ * @param {Object} [options.logger] - Logger with log, warn and error methods, silent by default.
+ * @param {Object} [options.sink] - Output sink the dataset, cache and report are saved to, files on disk by default.
+ * @param {Object} [options.on] - Map of event name to listener, see the events of SwiftScanner.
+ * @param {boolean} [options.watch] - Keep scanning the changed files, see ScanWatcher.js; the report is saved again
+ *        after each change, and `result.document` updated.
+ * @returns {Promise<Object>} - The result as { document, files, modules, datasetChanges, dataset, reportPath, diagnostics },
+ *          with the started `watcher` in watch mode;
+ *          `document` is the codebase_components.json document, null for a dry run; `dataset` maps module names to
+ *          their components; `diagnostics` collects the warnings and errors per file and module, see Diagnostics.js.
+ * @throws {ScanError} - If the project modules cannot be resolved, e.g. the toolchain is missing or the build failed.
+ */
+async function scan(options = {}) {
+    if (!Array.isArray(options.paths) || options.paths.length === 0) {
+        throw new Error('scan() requires the paths to scan');
+    }
+    const rootDir = path.resolve(options.rootDir || process.cwd());
+    const backend = options.backend && typeof options.backend === 'object'
+        ? options.backend
+        : createBackend({ backend: options.backend, fixtures: options.fixtures, record: options.record, rootDir: rootDir });
+    const scanner = new SwiftScanner(options.designModules || [], backend, {
+        resolver: options.resolver,
+        matching: options.matching,
+        rootDir: rootDir,
+        include: options.include,
+        datasetPath: options.datasetPath,
+        aliases: options.aliases,
+        tags: options.tags,
+        build: options.build,
+        logger: options.logger || silentLogger,
+        sink: options.sink || fileSink
+    });
+
+    // Errors of a file, module or output do not stop the scan, they are collected in the diagnostics
+    Object.keys(options.on || {}).forEach(event => scanner.on(event, options.on[event]));
+
+    const result = {
+        document: null,
+        files: [],
+        modules: [],
+        datasetChanges: [],
+        dataset: {},
+        reportPath: null,
+        diagnostics: scanner.diagnostics
+    };
+
+    scanner.logger.log('Initializing scanner...');
+    await scanner.initialize();
+    result.modules = scanner.projectModulesList;
+    const filePaths = options.paths.map(filePath => path.resolve(rootDir, filePath));
+    const selection = { changedSince: options.changedSince, gitignore: options.gitignore };
+    if (options.dryRun) {
+        result.files = await scanner.selectFiles(filePaths, options.exclude || [], selection);
+        return result;
+    }
+
+    // Load the dataset, rebuilding it when package or toolchain versions changed
+    result.datasetChanges = await scanner.ensureDataset();
+    result.dataset = scanner.componentsDataset;
+    scanner.logger.log('Scanning files...');
+    result.files = await scanner.scanPaths(filePaths, options.exclude || [], Object.assign({
+        jobs: options.jobs,
+        cache: options.cache
+    }, selection));
+    result.document = scanner.codebaseComponents.toJSON();
+
+    const save = async () => {
+        if (options.save || options.output) {
+            result.reportPath = await scanner.saveCodebaseComponents(options.format || 'json', options.output);
+        }
+    };
+    await save();
+
+    if (options.watch) {
+        result.watcher = new ScanWatcher(scanner, filePaths, options.exclude || [], Object.assign({ files: result.files }, selection));
+        // Listeners added by the caller run once the document and report are up to date
+        result.watcher.prependListener('update', () => {
+            result.document = scanner.codebaseComponents.toJSON();
+            result.files = Array.from(result.watcher.files);
+        });
+        result.watcher.on('update', save);
+        result.watcher.start();
+    }
+    return result;
+}
+
+module.exports = {
+    scan,
+    SwiftScanner,
+    ScanWatcher,
+    ShellBackend,
+    FixtureBackend,
+    RecordingBackend,
+    createBackend,
+    REPORTERS,
+    getReporter,
+    fileSink,
+    MemorySink,
+    silentLogger,
+    Diagnostics: Diagnostics.Diagnostics,
+    ScanError: Diagnostics.ScanError,
+    DIAGNOSTIC_CODES: Diagnostics.DIAGNOSTIC_CODES,
+    formatSummary: Diagnostics.formatSummary,
+    loadConfig: Config.loadConfig,
+    mergeOptions: Config.mergeOptions
+};
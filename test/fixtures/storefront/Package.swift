@@ -0,0 +1,14 @@
+// swift-tools-version:5.7
+import PackageDescription
+
+let package = Package(
+    name: "Storefront",
+    products: [
+        .library(name: "DesignSystem", targets: ["DesignSystem"])
+    ],
+    targets: [
+        .target(name: "DesignSystem"),
+        .executableTarget(name: "App", dependencies: ["DesignSystem"]),
+        .testTarget(name: "AppTests", dependencies: ["App", "DesignSystem"])
+    ]
+)
@@ -0,0 +1,5 @@
+import DesignSystem
+
+struct HomeView {
+    let checkout = DSButton(title: "Checkout")
+}
@@ -0,0 +1,2 @@
+let home = HomeView()
+print(home.checkout.title)
@@ -0,0 +1,8 @@
+/// A button styled by the design system.
+public struct DSButton {
+    public let title: String
+
+    public init(title: String) {
+        self.title = title
+    }
+}
@@ -0,0 +1,7 @@
+import DesignSystem
+
+final class HomeViewTests {
+    func testButton() {
+        _ = DSButton(title: "Test")
+    }
+}
@@ -0,0 +1,95 @@
+// Required modules
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { scan, createBackend, MemorySink } = require('../index');
+
+/**
+ * Project the fixture was recorded in: an SPM package with a design system module, an app using it and the app tests.
+ */
+const PROJECT_DIR = path.join(__dirname, 'fixtures', 'storefront');
+
+/**
+ * Scans the fixture project, replaying its recorded toolchain results; nothing is saved to disk.
+ * @param {Object} [options] - Scan options overriding the defaults, see index.js.
+ * @returns {Promise<Object>} - The scan result.
+ */
+function scanFixture(options = {}) {
+    return scan(Object.assign({
+        paths: ['Sources', 'Tests'],
+        rootDir: PROJECT_DIR,
+        designModules: ['DesignSystem'],
+        backend: 'fixture',
+        fixtures: 'fixtures.json',
+        cache: false,
+        sink: new MemorySink()
+    }, options));
+}
+
+/**
+ * Gets the usages of a component by file, with paths relative to the fixture project.
+ * @param {Object} component - Component entry of codebase_components.json.
+ * @returns {Object} - Map of relative file path to its locations.
+ */
+function locationsByFile(component) {
+    const locations = {};
+    Object.keys(component.filewiseLocation).forEach(filePath => {
+        locations[path.relative(PROJECT_DIR, filePath).split(path.sep).join('/')] = component.filewiseLocation[filePath];
+    });
+    return locations;
+}
+
+test('the fixture backend relocates the recorded paths to the project root', async () => {
+    const backend = createBackend({ backend: 'fixture', fixtures: 'fixtures.json', rootDir: PROJECT_DIR });
+    const docs = await backend.doc('DesignSystem');
+    assert.deepStrictEqual(Object.keys(docs[0]), [path.join(PROJECT_DIR, 'Sources', 'DesignSystem', 'DSButton.swift')]);
+    assert.strictEqual((await backend.describe()).path, PROJECT_DIR);
+    await assert.rejects(backend.structure('Sources/Missing.swift'), /No recorded fixture for structure Sources\/Missing.swift/);
+});
+
+test('scans the recorded project without a Swift toolchain', async () => {
+    const result = await scanFixture();
+
+    assert.deepStrictEqual(result.diagnostics.entries, []);
+    assert.deepStrictEqual(result.modules.map(module => [module.name, module.isTest]).sort(), [
+        ['App', false],
+        ['AppTests', true],
+        ['DesignSystem', false]
+    ]);
+    assert.deepStrictEqual(result.files.map(filePath => path.relative(PROJECT_DIR, filePath).split(path.sep).join('/')), [
+        'Sources/App/HomeView.swift',
+        'Sources/App/main.swift',
+        'Sources/DesignSystem/DSButton.swift',
+        'Tests/AppTests/HomeViewTests.swift'
+    ]);
+    // The design system is catalogued from its declarations, with their USRs
+    assert.deepStrictEqual(result.dataset.DesignSystem.map(entry => [entry.name, entry.associatedUSRs]), [
+        ['DSButton', 's:12DesignSystem8DSButtonV'],
+        ['DSButton(title:)', 's:12DesignSystem8DSButtonV5titleACSS_tcfc']
+    ]);
+});
+
+test('records the usages resolved through the recorded index, with their context', async () => {
+    const { document } = await scanFixture();
+    const calls = document.components.find(component => component.id === 'DesignSystem/DSButton/expr.call');
+    assert.ok(calls, 'DSButton calls are recorded');
+    assert.strictEqual(calls.totalOccurences, 2);
+
+    const locations = locationsByFile(calls);
+    assert.deepStrictEqual(Object.keys(locations).sort(), ['Sources/App/HomeView.swift', 'Tests/AppTests/HomeViewTests.swift']);
+    const [app] = locations['Sources/App/HomeView.swift'];
+    assert.strictEqual(app.line, 4);
+    assert.strictEqual(app.column, 20);
+    assert.strictEqual(app.confidence, 1);
+    assert.strictEqual(app.callText, 'DSButton(title: "Checkout")');
+    assert.deepStrictEqual(app.context, { type: 'HomeView', function: 'checkout', target: 'app' });
+    const [tests] = locations['Tests/AppTests/HomeViewTests.swift'];
+    assert.deepStrictEqual(tests.context, { type: 'HomeViewTests', function: 'testButton()', target: 'test' });
+});
+
+test('saves the report to the sink', async () => {
+    const sink = new MemorySink();
+    const result = await scanFixture({ save: true, sink: sink });
+    assert.strictEqual(result.reportPath, path.join(PROJECT_DIR, 'codebase_components.json'));
+    assert.deepStrictEqual(JSON.parse(sink.read(result.reportPath)).components, JSON.parse(JSON.stringify(result.document.components)));
+});